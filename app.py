@@ -800,6 +800,13 @@ def route_api_playcount_get():
     })
 
 
+def leaderboard_judgement(judgement):
+    # Scores with other judgement windows are not comparable, entries from before judgements were recorded are arcade
+    if judgement == 'arcade':
+        return {'$in': ['arcade', None]}
+    return judgement
+
+
 @app.route(basedir + 'api/leaderboard/submit', methods=['POST'])
 def route_api_leaderboard_submit():
     data = request.get_json()
@@ -810,10 +817,17 @@ def route_api_leaderboard_submit():
     difficulty = data.get('difficulty')
     score_value = data.get('score', 0)
     display_name = data.get('display_name', 'Anonymous')
+    mods = data.get('mods') or ''
+    judgement = data.get('judgement') or 'arcade'
     
     if not song_hash or not difficulty:
         return abort(400)
     
+    if not isinstance(mods, str) or not re.match(r'^[a-z0-9.]{0,32}$', mods):
+        mods = ''
+    if not isinstance(judgement, str) or not re.match(r'^[a-z0-9.\-]{1,32}$', judgement):
+        judgement = 'arcade'
+    
     if not display_name or not display_name.strip():
         display_name = 'Anonymous'
     
@@ -826,6 +840,8 @@ def route_api_leaderboard_submit():
         'difficulty': difficulty,
         'display_name': display_name.strip()[:20],  # Limit name length
         'score_value': score_value,
+        'mods': mods,
+        'judgement': judgement,
         'month': current_month,
         'created_at': datetime.utcnow()
     })
@@ -835,15 +851,17 @@ def route_api_leaderboard_submit():
         'song_hash': song_hash,
         'difficulty': difficulty,
         'month': current_month,
+        'judgement': leaderboard_judgement(judgement),
         'score_value': {'$gt': score_value}
     })
     rank = higher_count + 1
     
-    # Keep only top 100 per song/difficulty/month
+    # Keep only top 100 per song/difficulty/month/judgement
     all_scores = list(db.leaderboard.find({
         'song_hash': song_hash,
         'difficulty': difficulty,
-        'month': current_month
+        'month': current_month,
+        'judgement': leaderboard_judgement(judgement)
     }).sort('score_value', -1).skip(100))
     
     if all_scores:
@@ -861,16 +879,20 @@ def route_api_leaderboard_submit():
 def route_api_leaderboard_get():
     song_hash = request.args.get('hash')
     difficulty = request.args.get('difficulty')
+    judgement = request.args.get('judgement') or 'arcade'
     
     if not song_hash:
         return abort(400)
+    if not re.match(r'^[a-z0-9.\-]{1,32}$', judgement):
+        judgement = 'arcade'
     
     # Get current month for monthly leaderboard
     current_month = datetime.utcnow().strftime('%Y-%m')
     
     query = {
         'song_hash': song_hash,
-        'month': current_month
+        'month': current_month,
+        'judgement': leaderboard_judgement(judgement)
     }
     if difficulty:
         query['difficulty'] = difficulty
@@ -884,6 +906,8 @@ def route_api_leaderboard_get():
             'rank': i + 1,
             'display_name': score.get('display_name', 'Anonymous'),
             'score_value': score.get('score_value', 0),
+            'mods': score.get('mods', ''),
+            'judgement': score.get('judgement', 'arcade'),
             'difficulty': score.get('difficulty')
         })
     
@@ -25,13 +25,19 @@ var assets = {
 		"canvastest.js",
 		"canvascache.js",
 		"parsetja.js",
+		"writetja.js",
 		"autoscore.js",
 		"about.js",
 		"debug.js",
+		"practice.js",
+		"replay.js",
+		"replays.js",
+		"ghost.js",
 		"session.js",
 		"importsongs.js",
 		"logo.js",
 		"settings.js",
+		"mods.js",
 		"scorestorage.js",
 		"playstats.js",
 		"leaderboard.js",
@@ -49,6 +55,7 @@ var assets = {
 		"loadsong.css",
 		"game.css",
 		"debug.css",
+		"gamepanel.css",
 		"songbg.css",
 		"view.css",
 		"search.css"
@@ -148,6 +155,9 @@ var assets = {
 		"tutorial.html",
 		"about.html",
 		"debug.html",
+		"practice.html",
+		"replay.html",
+		"replays.html",
 		"session.html",
 		"settings.html",
 		"account.html",
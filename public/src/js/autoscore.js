@@ -67,6 +67,12 @@ class AutoScore {
 			this.ScoreInit = 450;
 			return;
 		}
+		if (scoremode === "shinuchi" || scoremode === "nijiiro") { 
+			this.ScoreDiff = 0;
+			this.ScoreInit = this.GetShinuchiInit(scoremode);
+			this.Score = this.ScoreInit * this.GetShinuchiNotes(scoremode);
+			return;
+		}
 		const target = this.GetTargetScore(difficulty, level);
 		this.Score = 0;
 		this.ScoreDiff = 0;
@@ -105,7 +111,7 @@ class AutoScore {
 	}
 	IsCommonCircle(circle) { 
 		const ty = circle.type;
-		return ty === "don" || ty === "ka" || ty === "daiDon" || ty === "daiKa";
+		return ty === "don" || ty === "ka" || ty === "daiDon" || ty === "daiKa" || ty === "kadon";
 	}
 	TryScore(init, diff) { 
 		var score = 0;
@@ -137,7 +143,8 @@ class AutoScore {
 			}
 			switch (circle.type) { 
 				case "don":
-				case "ka": { 
+				case "ka":
+				case "kadon": { 
 					score += Math.floor((init + diff * diff_mul) * multiplier / 10) * 10;
 					break;
 				}
@@ -159,9 +166,10 @@ class AutoScore {
 	}
 	GetTargetScore(difficulty, level) { 
 		//console.log(difficulty, level)
-		var ret = this.basic_max_score_list[difficulty][level];
+		var list = this.basic_max_score_list[difficulty] || this.basic_max_score_list.oni;
+		var ret = list[level];
 		if (!ret) { 
-			ret = this.basic_max_score_list[difficulty][0];
+			ret = list[0];
 		}
 		return ret;
 	}
@@ -174,6 +182,24 @@ class AutoScore {
 		}
 		return combo;
 	}
+	GetShinuchiNotes(scoremode) { 
+		// Shin-uchi still doubles big notes hit with both hands, Nijiiro counts every note once
+		var notes = 0;
+		for (var circle of this.circles) { 
+			if (this.IsCommonCircle(circle) && (!circle.branch || circle.branch.name === "master")) { 
+				notes += scoremode === "shinuchi" && (circle.type === "daiDon" || circle.type === "daiKa") ? 2 : 1;
+			}
+		}
+		return notes;
+	}
+	GetShinuchiInit(scoremode) { 
+		// Every note is worth the same so that a full combo of goods reaches 1,000,000
+		var notes = this.GetShinuchiNotes(scoremode);
+		if (notes === 0) { 
+			return 0;
+		}
+		return Math.ceil(1000000 / notes / 10) * 10;
+	}
 	GetMaxPossibleInit(target) { 
 		var basic_score = 0;
 		if (this.scoremode !== 1) { 
@@ -188,7 +214,8 @@ class AutoScore {
 			var multiplier = circle.gogoTime ? 1.2 : 1;
 			switch (circle.type) { 
 				case "don":
-				case "ka": { 
+				case "ka":
+				case "kadon": { 
 					combo += (1 * multiplier);
 					break;
 				}
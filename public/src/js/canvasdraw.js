@@ -1550,6 +1550,34 @@
 		ctx.restore()
 	}
 
+	bomb(config) {
+		var ctx = config.ctx
+		var size = config.size
+		ctx.save()
+
+		ctx.translate(config.x, config.y)
+		ctx.fillStyle = "#fff"
+		ctx.beginPath()
+		ctx.arc(0, 0, size - 1, 0, Math.PI * 2)
+		ctx.fill()
+		ctx.fillStyle = "#2b2b2b"
+		ctx.beginPath()
+		ctx.arc(0, 0, size * 0.8, 0, Math.PI * 2)
+		ctx.fill()
+
+		ctx.strokeStyle = "#ff3b1f"
+		ctx.lineWidth = size * 0.16
+		ctx.lineCap = "round"
+		ctx.beginPath()
+		ctx.moveTo(-size * 0.35, -size * 0.35)
+		ctx.lineTo(size * 0.35, size * 0.35)
+		ctx.moveTo(size * 0.35, -size * 0.35)
+		ctx.lineTo(-size * 0.35, size * 0.35)
+		ctx.stroke()
+
+		ctx.restore()
+	}
+
 	slot(ctx, x, y, size) {
 		var mul = size / 106
 
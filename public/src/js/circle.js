@@ -9,6 +9,11 @@ class Circle{
 		this.type = config.type
 		this.text = config.txt
 		this.speed = config.speed
+		this.speedY = config.speedY || 0
+		this.scroll = config.scroll
+		this.scrollY = config.scrollY || 0
+		this.beat = config.beat
+		this.endBeat = config.endBeat || this.beat
 		this.endTime = config.endTime || this.ms
 		this.originalEndTime = this.endTime
 		this.isPlayed = 0
@@ -27,6 +32,9 @@ class Circle{
 		this.fixedPos = config.fixedPos
 		this.branch = config.branch
 		this.section = config.section
+		this.direction = config.direction || 0
+		this.suddenAppear = config.suddenAppear || 0
+		this.suddenMove = config.suddenMove || 0
 	}
 	animate(ms){
 		this.animating = true
@@ -36,6 +44,19 @@ class Circle{
 		this.score = score
 		this.isPlayed = score <= 0 ? score - 1 : (big ? 2 : 1)
 	}
+	reset(){
+		this.isPlayed = 0
+		this.animating = false
+		this.animT = 0
+		this.score = 0
+		this.lastFrame = this.ms + 100
+		this.animationEnded = false
+		this.timesHit = 0
+		this.timesKa = 0
+		this.rendaPlayed = false
+		this.gogoChecked = false
+		delete this.daiFailed
+	}
 	hit(keysKa){
 		this.timesHit++
 		if(keysKa){
@@ -33,18 +33,39 @@ class Controller{
 			}
 			this.videoLatency = Math.round(latency.video) || 0 + this.audioLatency
 		}
+		if(selectedSong.replay){
+			this.audioLatency = selectedSong.replay.latency || 0
+		}
 		if(this.multiplayer !== 2){
 			loader.changePage("game", false)
 		}
 		
 		if(selectedSong.type === "tja"){
-			this.parsedSongData = new ParseTja(songData, selectedSong.difficulty, selectedSong.stars, selectedSong.offset)
+			if(multiplayer === 2){
+				var side = p2.player === 2 ? 1 : 2
+			}else{
+				var side = multiplayer ? p2.player : 0
+			}
+			this.parsedSongData = new ParseTja(songData, selectedSong.difficulty, selectedSong.stars, selectedSong.offset, false, side)
 		}else{
 			this.parsedSongData = new ParseOsu(songData, selectedSong.difficulty, selectedSong.stars, selectedSong.offset)
 		}
 		this.offset = this.parsedSongData.soundOffset
 		
-		var maxCombo = this.parsedSongData.circles.filter(circle => ["don", "ka", "daiDon", "daiKa"].indexOf(circle.type) > -1 && (!circle.branch || circle.branch.name == "master")).length
+		this.mods = mods.getForSong(selectedSong, multiplayer)
+		if(multiplayer || this.calibrationMode){
+			this.judgement = "arcade"
+		}else if(selectedSong.replay){
+			this.judgement = selectedSong.replay.judgement || "arcade"
+		}else{
+			this.judgement = settings.getJudgement()
+		}
+		mods.applyChart(this.parsedSongData.circles, this.mods)
+		if(!mods.isRanked(this.mods)){
+			this.saveScore = false
+		}
+		
+		var maxCombo = this.parsedSongData.circles.filter(circle => ["don", "ka", "daiDon", "daiKa", "kadon"].indexOf(circle.type) > -1 && (!circle.branch || circle.branch.name == "master")).length
 		if (maxCombo >= 50) {
 			var comboVoices = ["v_combo_50"].concat(Array.from(Array(Math.min(50, Math.floor(maxCombo / 100))), (d, i) => "v_combo_" + ((i + 1) * 100)))
 			var promises = []
@@ -83,11 +104,20 @@ class Controller{
 		
 		this.game = new Game(this, this.selectedSong, this.parsedSongData)
 		this.view = new View(this)
-		if (parseFloat(localStorage.getItem("baisoku") ?? "1", 10) !== 1) {
-			this.saveScore = false;
-		}
 		this.mekadon = new Mekadon(this, this.game)
 		this.keyboard = new GameInput(this)
+		if(selectedSong.practice && !multiplayer && !this.calibrationMode){
+			this.saveScore = false
+			this.practice = new Practice(this)
+		}else if(selectedSong.replay && !multiplayer){
+			this.saveScore = false
+			this.replayPlayer = new ReplayPlayer(this, selectedSong.replay)
+		}else if(!autoPlayEnabled && multiplayer !== 2 && !this.calibrationMode){
+			this.replayRecorder = new ReplayRecorder(this)
+		}
+		if(!multiplayer && !this.calibrationMode && !this.practice){
+			this.ghost = new Ghost(this)
+		}
 		if(!autoPlayEnabled && this.multiplayer !== 2){
 			this.easierBigNotes = settings.getItem("easierBigNotes") || this.keyboard.keyboard.TaikoForceLv5
 		}else{
@@ -185,6 +215,12 @@ class Controller{
 					if(!this.mainLoopRunning){
 						return
 					}
+					if(this.practice){
+						this.practice.update()
+					}
+					if(this.ghost){
+						this.ghost.update()
+					}
 					this.game.playMainMusic()
 				}
 			}
@@ -225,7 +261,7 @@ class Controller{
 	gameEnded(){
 		var score = this.getGlobalScore()
 		var vp
-		if(this.game.rules.clearReached(score.gauge)){
+		if(this.game.dan ? this.game.getDanResult() !== "fail" : this.game.rules.clearReached(score.gauge)){
 			if(score.bad === 0){
 				vp = "fullcombo"
 				this.playSound("v_fullcombo", 1.350)
@@ -236,6 +272,9 @@ class Controller{
 			vp = "fail"
 		}
 		this.playSound("se_game" + vp)
+		if(this.replayRecorder && !this.autoPlayEnabled){
+			this.replayRecorder.save()
+		}
 	}
 	displayResults(){
 		if(this.multiplayer !== 2){
@@ -246,6 +285,9 @@ class Controller{
 		}
 	}
 	displayScore(score, notPlayed, bigNote){
+		if(this.fastForward){
+			return
+		}
 		this.view.displayScore(score, notPlayed, bigNote)
 	}
 	songSelection(fadeIn, showWarning){
@@ -329,6 +371,9 @@ class Controller{
 		}))
 	}
 	playSound(id, time, noSnd){
+		if(this.fastForward){
+			return
+		}
 		if(!this.drumSounds && (id === "neiro_1_don" || id === "neiro_1_ka" || id === "se_don" || id === "se_ka")){
 			return
 		}
@@ -383,6 +428,25 @@ class Controller{
 			return this.mekadon.play(circle)
 		}
 	}
+	gaugeFailed(){
+		// Hard gauges end the song early once they run out
+		var game = this.game
+		if(game.failedMS !== null || game.fadeOutStarted){
+			return
+		}
+		game.failedMS = game.elapsedTime
+		game.fadeOutStarted = game.elapsedTime
+		if(game.mainAsset){
+			game.mainAsset.stop()
+		}
+		game.mainMusicPlaying = true
+	}
+	perfectOnlyFailed(){
+		if(!this.restarting){
+			this.restarting = true
+			setTimeout(() => this.restartSong())
+		}
+	}
 	objEqual(a, b){
 		for(var i in a){
 			if(a[i] !== b[i]){
@@ -410,5 +474,14 @@ class Controller{
 		if(this.lyrics){
 			this.lyrics.clean()
 		}
+		if(this.practice){
+			this.practice.clean()
+		}
+		if(this.replayPlayer){
+			this.replayPlayer.clean()
+		}
+		if(this.ghost){
+			this.ghost.clean()
+		}
 	}
 }
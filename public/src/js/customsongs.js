@@ -120,8 +120,7 @@ class CustomSongs{
 				this.hideError()
 			}
 		})
-		var errorTitle = this.errorDiv.getElementsByClassName("view-title")[0]
-		this.setAltText(errorTitle, strings.customSongs.importError)
+		this.errorTitle = this.errorDiv.getElementsByClassName("view-title")[0]
 		this.errorContent = this.errorDiv.getElementsByClassName("view-content")[0]
 		this.errorEnd = this.errorDiv.getElementsByClassName("view-end-button")[0]
 		this.setAltText(this.errorEnd, strings.tutorial.ok)
@@ -270,7 +269,7 @@ class CustomSongs{
 		this.loading(true)
 		
 		var importSongs = new ImportSongs()
-		return importSongs.load(files).then(this.songsLoaded.bind(this), e => {
+		return importSongs.load(files).then(songs => this.songsLoaded(songs, importSongs.diagnostics), e => {
 			if(!this.noPage){
 				this.browse.form.reset()
 			}
@@ -391,7 +390,11 @@ class CustomSongs{
 			this.loaderDiv.parentNode.removeChild(this.loaderDiv)
 		}
 	}
-	songsLoaded(songs){
+	songsLoaded(songs, diagnostics){
+		if(songs && diagnostics && diagnostics.length && !this.noPage){
+			this.showReport(diagnostics, () => this.songsLoaded(songs))
+			return songs.length
+		}
 		if(songs){
 			var length = songs.length
 			assets.songs = songs
@@ -498,16 +501,46 @@ class CustomSongs{
 			return
 		}
 		this.mode = "error"
+		this.setAltText(this.errorTitle, strings.customSongs.importError)
 		this.errorContent.innerText = text
 		this.errorDiv.style.display = "flex"
 		assets.sounds["se_pause"].play()
 	}
+	showReport(diagnostics, callback){
+		this.locked = false
+		this.loading(false)
+		var lines = []
+		diagnostics.sort((a, b) => a.path > b.path ? 1 : -1).forEach(file => {
+			file.diagnostics.forEach(diagnostic => {
+				var message = strings.customSongs.diagnostic[diagnostic.type]
+				if(diagnostic.command){
+					message = message.replace("%s", diagnostic.command)
+				}
+				diagnostic.values.forEach(value => {
+					message = message.replace("%s", value.toString())
+				})
+				lines.push(file.path + ":" + diagnostic.line + ": " + strings.customSongs.severity[diagnostic.severity] + ": " + message)
+			})
+		})
+		this.mode = "error"
+		this.reportCallback = callback
+		this.setAltText(this.errorTitle, strings.customSongs.chartReport)
+		this.errorContent.innerText = lines.join("\n")
+		this.errorDiv.style.display = "flex"
+		assets.sounds["se_pause"].play()
+	}
 	hideError(confirm){
 		if(this.mode !== "error"){
 			return
 		}
 		this.mode = "main"
 		this.errorDiv.style.display = ""
+		if(this.reportCallback){
+			var callback = this.reportCallback
+			delete this.reportCallback
+			this.locked = true
+			return callback()
+		}
 		assets.sounds[confirm ? "se_don" : "se_cancel"].play()
 	}
 	clean(){
@@ -545,6 +578,7 @@ class CustomSongs{
 		delete this.endButton
 		delete this.items
 		delete this.errorDiv
+		delete this.errorTitle
 		delete this.errorContent
 		delete this.errorEnd
 	}
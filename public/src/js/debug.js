@@ -19,6 +19,7 @@ class Debug{
 		this.branchSelectDiv = this.byClass("branch-select")
 		this.branchSelect = this.branchSelectDiv.getElementsByTagName("select")[0]
 		this.branchResetBtn = this.branchSelectDiv.getElementsByClassName("reset")[0]
+		this.branchTypeSpan = this.byClass("branch-type")
 		this.volumeDiv = this.byClass("music-volume")
 		this.lyricsHideDiv = this.byClass("lyrics-hide")
 		this.lyricsOffsetDiv = this.byClass("lyrics-offset")
@@ -29,6 +30,12 @@ class Debug{
 		this.restartBtn = this.byClass("restart-btn")
 		this.exitBtn = this.byClass("exit-btn")
 		
+		this.branchTypes = {
+			"accuracy": "Accuracy",
+			"drumroll": "Drumroll",
+			"score": "Score"
+		}
+		
 		this.moving = false
 		this.windowSymbol = Symbol()
 		pageEvents.add(window, ["mousedown", "mouseup", "touchstart", "touchend", "blur", "resize"], this.stopMove.bind(this), this.windowSymbol)
@@ -137,8 +144,17 @@ class Debug{
 			
 			this.restartBtn.style.display = "block"
 			this.autoplayLabel.style.display = "block"
-			if(this.controller.parsedSongData.branches){
+			var branches = this.controller.parsedSongData.branches
+			if(branches){
 				this.branchHideDiv.style.display = "block"
+				var branchTypes = []
+				branches.forEach(branch => {
+					var typeName = this.branchTypes[branch.type]
+					if(branchTypes.indexOf(typeName) === -1){
+						branchTypes.push(typeName)
+					}
+				})
+				this.branchTypeSpan.innerText = branchTypes.length ? " (" + branchTypes.join(", ") + ")" : ""
 			}
 			if(this.controller.lyrics){
 				this.lyricsHideDiv.style.display = "block"
@@ -164,25 +180,7 @@ class Debug{
 			})
 			this.measureNumSlider.setMinMax(0, measures.length - 1)
 			if(this.measureNum > 0 && measures.length >= this.measureNum){
-				var measureMS = measures[this.measureNum - 1].ms
-				var game = this.controller.game
-				game.started = true
-				var timestamp = Date.now()
-				var currentDate = timestamp - measureMS
-				game.startDate = currentDate
-				game.sndTime = timestamp - snd.buffer.getTime() * 1000
-				var circles = game.songData.circles
-				for(var i in circles){
-					game.currentCircle = i
-					if(circles[i].endTime >= measureMS){
-						break
-					}
-					game.skipNote(circles[i])
-				}
-				if(game.mainMusicPlaying){
-					game.mainMusicPlaying = false
-					game.mainAsset.stop()
-				}
+				this.controller.game.seek(measures[this.measureNum - 1].ms)
 			}
 			this.autoplayCheckbox.checked = this.controller.autoPlayEnabled
 		}
@@ -190,6 +188,7 @@ class Debug{
 			this.restartBtn.style.display = ""
 			this.autoplayLabel.style.display = ""
 			this.branchHideDiv.style.display = ""
+			this.branchTypeSpan.innerText = ""
 			this.lyricsHideDiv.style.display = ""
 			this.controller = null
 		}
@@ -211,6 +210,11 @@ class Debug{
 					branch.ms = branch.originalMS + offset
 				})
 			}
+			if(songData.beatTimeline){
+				songData.beatTimeline.forEach(point => {
+					point.ms = point.originalMS + offset
+				})
+			}
 			if(this.controller.lyrics){
 				this.controller.lyrics.offsetChange(value * 1000)
 			}
@@ -313,6 +317,7 @@ class Debug{
 		delete this.branchSelectDiv
 		delete this.branchSelect
 		delete this.branchResetBtn
+		delete this.branchTypeSpan
 		delete this.volumeDiv
 		delete this.lyricsHideDiv
 		delete this.lyricsOffsetDiv
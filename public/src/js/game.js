@@ -19,13 +19,13 @@ class Game{
 			bad: 0,
 			maxCombo: 0,
 			drumroll: 0,
-			gauge: 0,
+			gauge: this.rules.gaugeStart(),
 			title: selectedSong.title,
 			difficulty: this.rules.difficulty
 		}
 		var combo = this.songData.circles.filter(circle => {
 			var type = circle.type
-			return (type === "don" || type === "ka" || type === "daiDon" || type === "daiKa") && (!circle.branch || circle.branch.active)
+			return (type === "don" || type === "ka" || type === "daiDon" || type === "daiKa" || type === "kadon") && (!circle.branch || circle.branch.active)
 		}).length
 		this.soulPoints = this.rules.soulPoints(combo)
 		this.paused = false
@@ -33,14 +33,40 @@ class Game{
 		this.mainMusicPlaying = false
 		this.musicFadeOut = 0
 		this.fadeOutStarted = false
+		this.failedMS = null
+		this.deviations = []
 		this.currentTimingPoint = 0
+		this.playbackRate = 1
+		this.lastAutoBalloon = -Infinity
+		this.scoring = this.controller.mods.scoring
+		if(this.scoring !== "default"){
+			this.shinuchiInit = new AutoScore(this.rules.difficulty, selectedSong.stars, this.scoring, this.songData.circles).ScoreInit
+		}
 		this.branchNames = ["normal", "advanced", "master"]
 		this.resetSection()
 		this.gameLagSync = !this.controller.touchEnabled && !(/Firefox/.test(navigator.userAgent))
+		this.dan = this.rules.difficulty === "dan"
+		this.danSongs = this.songData.danSongs || null
+		this.danSong = 0
+		this.exams = this.songData.exams || []
 		
 		assets.songs.forEach(song => {
 			if(song.id == selectedSong.folder){
 				this.mainAsset = song.sound
+				var rate = this.controller.mods.rate
+				if(rate !== 1){
+					this.playbackRate = rate
+					if(song.rateSound && song.rateSound.rate === rate){
+						this.mainAsset = song.rateSound.sound
+					}
+				}
+				if(this.danSongs){
+					this.danSounds = (song.danSounds || []).slice()
+					if(!this.danSounds[0]){
+						this.danSounds[0] = song.sound
+					}
+					this.mainAsset = this.danSounds[0]
+				}
 			}
 		})
 	}
@@ -65,7 +91,7 @@ class Game{
 		}
 		this.elapsedTime = -offsetTime
 		// The real start for the game will start when chrono will reach 0
-		this.startDate = Date.now() + offsetTime
+		this.startDate = Date.now() + offsetTime / this.playbackRate
 	}
 	update(){
 		this.updateTime()
@@ -73,8 +99,11 @@ class Game{
 		this.updateCirclesStatus()
 		this.checkPlays()
 		// Event operations
+		if(this.danSongs){
+			this.updateDanSong()
+		}
 		this.whenFadeoutMusic()
-		if(this.controller.multiplayer !== 2){
+		if(this.controller.multiplayer !== 2 && !this.controller.practice){
 			this.whenLastCirclePlayed()
 		}
 	}
@@ -82,6 +111,9 @@ class Game{
 		return this.songData.circles
 	}
 	updateCirclesStatus(){
+		if(this.failedMS !== null){
+			return
+		}
 		var nextSet = false
 		var ms = this.elapsedTime
 		var circles = this.songData.circles
@@ -184,6 +216,12 @@ class Game{
 								}else{
 									var accuracy = this.sectionDrumroll
 								}
+							}else if(branch.type === "score"){
+								if(force.branch){
+									var accuracy = Math.max(0, branch.requirement[force.branch])
+								}else{
+									var accuracy = this.globalScore.points - this.sectionStartPoints
+								}
 							}else if(this.sectionNotes.length !== 0){
 								if(force.branch){
 									var accuracy = Math.max(0, Math.min(100, branch.requirement[force.branch]))
@@ -220,11 +258,11 @@ class Game{
 	fixNoteStream(keysDon){
 		var circleIsNote = circle => {
 			var type = circle.type
-			return type === "don" || type === "ka" || type === "daiDon" || type === "daiKa"
+			return type === "don" || type === "ka" || type === "daiDon" || type === "daiKa" || type === "kadon"
 		}
 		var correctNote = circle => {
 			var type = circle.type
-			return keysDon ? (type === "don" || type === "daiDon") : (type === "ka" || type === "daiKa")
+			return type === "kadon" || (keysDon ? (type === "don" || type === "daiDon") : (type === "ka" || type === "daiKa"))
 		}
 		var ms = this.elapsedTime
 		var circles = this.songData.circles
@@ -233,7 +271,9 @@ class Game{
 			var circle = circles[i]
 			var relative = ms - circle.ms - this.controller.audioLatency
 			if(!circle.branch || circle.branch.active){
-				if((!circleIsNote(circle) || relative < -this.rules.bad)){
+				if(this.isOptionalNote(circle) && relative >= -this.rules.bad){
+					continue
+				}else if((!circleIsNote(circle) || relative < -this.rules.bad)){
 					break
 				}else if(Math.abs(relative) < this.rules.ok && correctNote(circle)){
 					for(var j = this.currentCircle; j < i; j++){
@@ -249,10 +289,16 @@ class Game{
 		}
 	}
 	skipNote(circle){
+		if(this.isOptionalNote(circle)){
+			// Bombs and ADLib notes can be left alone without a penalty
+			circle.played(-1, false)
+			return
+		}
 		if(circle.section){
 			this.resetSection()
 		}
 		circle.played(-1, circle.type === "daiDon" || circle.type === "daiKa")
+		this.addJudgement(circle, -1)
 		this.sectionNotes.push(0)
 		this.controller.displayScore(0, true)
 		this.updateCombo(0)
@@ -273,6 +319,31 @@ class Game{
 			}
 			return
 		}
+		if(circle && circle.type === "balloon" && this.controller.mods.autoBalloon){
+			this.autoBalloon(circle)
+		}
+		if(this.controller.replayPlayer){
+			this.controller.replayPlayer.play()
+			return
+		}
+		this.checkKeys()
+	}
+	autoBalloon(circle){
+		var ms = this.elapsedTime - this.controller.audioLatency
+		if(circle.ms <= ms && ms <= circle.endTime && ms >= this.lastAutoBalloon + 30){
+			this.lastAutoBalloon = ms
+			if(circle.requiredHits - circle.timesHit <= 1){
+				this.controller.playSound("se_balloon")
+			}
+			this.checkBalloon(circle)
+		}
+	}
+	checkKeys(){
+		if(this.failedMS !== null){
+			return
+		}
+		var circles = this.songData.circles
+		var circle = circles[this.currentCircle]
 		var keys = this.controller.getKeys()
 		
 		var don_l = keys["don_l"] && !this.controller.isWaiting("don_l", "score")
@@ -327,6 +398,7 @@ class Game{
 		var typeDon = type === "don" || type === "daiDon"
 		var typeKa = type === "ka" || type === "daiKa"
 		var typeDai = type === "daiDon" || type === "daiKa"
+		var typeKadon = type === "kadon"
 		
 		var keyTime = this.controller.getKeyTime()
 		var currentTime = circle.daiFailed ? circle.daiFailed.ms : keysDon ? keyTime["don"] : keyTime["ka"]
@@ -339,12 +411,30 @@ class Game{
 			}
 		}
 		
-		if(typeDon || typeKa){
+		if(this.isOptionalNote(circle)){
+			if(-this.rules.ok >= relative || relative >= this.rules.ok){
+				return true
+			}
+			if(type === "bomb"){
+				this.hitBomb(circle)
+			}else{
+				this.hitAdlib(circle)
+			}
+			this.updateCurrentCircle()
+			if(this.controller.multiplayer === 1){
+				var value = {
+					score: type === "bomb" ? 0 : 450,
+					ms: circle.ms - currentTime - this.controller.audioLatency
+				}
+				value[type] = true
+				p2.send("note", value)
+			}
+		}else if(typeDon || typeKa || typeKadon){
 			if(-this.rules.bad >= relative || relative >= this.rules.bad){
 				return true
 			}
 			var score = 0
-			if(keysDon && typeDon || keysKa && typeKa){
+			if(keysDon && typeDon || keysKa && typeKa || typeKadon){
 				var circleStatus = -1
 				relative = Math.abs(relative)
 				if(relative < this.rules.good){
@@ -371,10 +461,31 @@ class Game{
 						circleStatus = circle.daiFailed.status
 					}
 				}
+				if(typeKadon){
+					// Needs both a don and a ka hit, the first one waits for the other side
+					var kadonKey = keysDon ? "don" : "ka"
+					if(!circle.daiFailed){
+						circle.daiFailed = {
+							ms: ms,
+							status: circleStatus,
+							check: check,
+							key: kadonKey
+						}
+						return false
+					}else if(circle.daiFailed.key === kadonKey){
+						if(ms < circle.daiFailed.ms + this.rules.daiLeniency){
+							return false
+						}
+						circleStatus = 0
+					}else{
+						circleStatus = circle.daiFailed.status
+					}
+				}
 				if(circleStatus === 230 || circleStatus === 450){
 					score = circleStatus
 				}
 				circle.played(score, score === 0 ? typeDai : keyDai)
+				this.addJudgement(circle, score, currentTime - circle.ms - this.controller.audioLatency)
 				this.controller.displayScore(score, false, typeDai && keyDai)
 			}else{
 				var keyTime = this.controller.getKeyTime()
@@ -383,14 +494,15 @@ class Game{
 					return true
 				}
 				circle.played(-1, typeDai)
+				this.addJudgement(circle, -1, currentTime - circle.ms - this.controller.audioLatency)
 				this.controller.displayScore(score, true, false)
 			}
-			this.updateCombo(score)
-			this.updateGlobalScore(score, typeDai && keyDai ? 2 : 1, circle.gogoTime)
-			this.updateCurrentCircle()
 			if(circle.section){
 				this.resetSection()
 			}
+			this.updateCombo(score)
+			this.updateGlobalScore(score, typeDai && keyDai ? 2 : 1, circle.gogoTime)
+			this.updateCurrentCircle()
 			this.sectionNotes.push(score === 450 ? 1 : (score === 230 ? 0.5 : 0))
 			if(this.controller.multiplayer === 1){
 				var value = {
@@ -398,7 +510,7 @@ class Game{
 					ms: circle.ms - currentTime - this.controller.audioLatency,
 					dai: typeDai ? (keyDai ? 2 : 1) : 0
 				}
-				if((!keysDon || !typeDon) && (!keysKa || !typeKa)){
+				if((!keysDon || !typeDon) && (!keysKa || !typeKa) && !typeKadon){
 					value.reverse = true
 				}
 				p2.send("note", value)
@@ -421,9 +533,41 @@ class Game{
 		}
 		return true
 	}
+	addJudgement(circle, score, relative){
+		if(score >= 0 && typeof relative === "number"){
+			// Negative values are early hits, positive values are late hits
+			this.deviations.push(relative)
+			this.view.addHitError(relative)
+		}
+		if(this.controller.replayRecorder){
+			this.controller.replayRecorder.judgement(this.songData.circles.indexOf(circle), score, relative)
+		}
+		if(score !== 450 && this.controller.mods.perfectOnly && !this.controller.mods.noFail && !this.controller.practice && !this.controller.replayPlayer){
+			this.controller.perfectOnlyFailed()
+		}
+	}
+	isOptionalNote(circle){
+		return circle.type === "bomb" || circle.type === "adlib"
+	}
+	hitBomb(circle){
+		circle.played(0, false)
+		this.controller.displayScore(0, false)
+		this.updateCombo(0)
+		this.updateGlobalScore(0, 1)
+	}
+	hitAdlib(circle){
+		circle.played(450, false)
+		this.controller.displayScore(450, false)
+		if(this.scoring !== "default"){
+			this.globalScore.points += this.getShinuchiPoints(450, 1)
+		}else{
+			var scoreInit = this.getScoreValues().init
+			this.globalScore.points += Math.floor(scoreInit * (circle.gogoTime ? 1.2 : 1) / 10) * 10
+		}
+	}
 	checkBalloon(circle){
 		if(circle.timesHit >= circle.requiredHits - 1){
-			var score = 5000
+			var score = this.scoring === "nijiiro" ? 100 : 5000
 			this.updateCurrentCircle()
 			circle.hit()
 			circle.played(score)
@@ -433,7 +577,7 @@ class Game{
 				})
 			}
 		}else{
-			var score = 300
+			var score = this.scoring === "nijiiro" ? 100 : 300
 			circle.hit()
 		}
 		this.globalScore.drumroll++
@@ -505,7 +649,7 @@ class Game{
 		if(started){
 			var ms = this.elapsedTime
 			var duration = this.mainAsset ? this.mainAsset.duration : 0
-			var musicDuration = duration * 1000 - this.controller.offset
+			var musicDuration = this.failedMS !== null ? 0 : duration * 1000 * this.playbackRate + this.getMusicStart()
 			if(this.musicFadeOut === 0){
 				if(this.controller.multiplayer === 1){
 					var obj = this.getGlobalScore()
@@ -531,8 +675,8 @@ class Game{
 		}
 	}
 	playMainMusic(){
-		var ms = this.elapsedTime + this.controller.offset
-		if(!this.mainMusicPlaying && (!this.fadeOutStarted || ms < this.fadeOutStarted + 1600)){
+		var ms = this.elapsedTime - this.getMusicStart()
+		if(!this.mainMusicPlaying && this.failedMS === null && (!this.fadeOutStarted || ms < this.fadeOutStarted + 1600)){
 			if(this.calibrationState === "audio"){
 				var beatInterval = this.controller.view.beatInterval
 				var startAt = ms % beatInterval
@@ -543,11 +687,87 @@ class Game{
 					this.mainAsset.playLoop((startAt - duration) / 1000, false, 0, 0, beatInterval / 1000)
 				}
 			}else if(this.controller.multiplayer !== 2 && this.mainAsset){
-				this.mainAsset.play((ms < 0 ? -ms : 0) / 1000, false, Math.max(0, ms / 1000))
+				var seek = ms / this.playbackRate
+				this.mainAsset.play((seek < 0 ? -seek : 0) / 1000, false, Math.max(0, seek / 1000))
 			}
 			this.mainMusicPlaying = true
 		}
 	}
+	getMusicStart(){
+		var danSong = this.danSongs ? this.danSongs[this.danSong] : null
+		if(danSong && danSong.musicStart !== null){
+			return danSong.musicStart
+		}
+		return -this.controller.offset
+	}
+	updateDanSong(){
+		var ms = this.elapsedTime
+		var index = 0
+		for(var i = 1; i < this.danSongs.length; i++){
+			if(ms >= this.danSongs[i].ms){
+				index = i
+			}
+		}
+		if(index !== this.danSong){
+			if(this.mainAsset){
+				this.mainAsset.stop()
+			}
+			this.danSong = index
+			this.mainAsset = this.danSounds ? this.danSounds[index] : null
+			this.mainMusicPlaying = false
+			pageEvents.send("dan-song", this.danSongs[index])
+		}
+	}
+	getExams(){
+		return this.exams.map(exam => {
+			var value = this.getExamValue(exam.type)
+			if(exam.range === "less"){
+				var status = value < exam.gold ? "gold" : (value < exam.pass ? "pass" : "fail")
+			}else{
+				var status = value >= exam.gold ? "gold" : (value >= exam.pass ? "pass" : "fail")
+			}
+			return {
+				type: exam.type,
+				pass: exam.pass,
+				gold: exam.gold,
+				range: exam.range,
+				value: value,
+				status: status
+			}
+		})
+	}
+	getExamValue(type){
+		var score = this.globalScore
+		switch(type){
+			case "g":
+				return Math.round(this.rules.gaugePercent(score.gauge) * 100)
+			case "jp":
+				return score.good
+			case "jg":
+				return score.ok
+			case "jb":
+				return score.bad
+			case "s":
+				return score.points
+			case "r":
+				return score.drumroll
+			case "h":
+				return score.good + score.ok + score.drumroll
+			case "c":
+				return score.maxCombo
+		}
+		return 0
+	}
+	getDanResult(){
+		var exams = this.getExams()
+		if(exams.length === 0){
+			return this.rules.clearReached(this.globalScore.gauge) ? "pass" : "fail"
+		}
+		if(exams.some(exam => exam.status === "fail")){
+			return "fail"
+		}
+		return exams.every(exam => exam.status === "gold") ? "gold" : "pass"
+	}
 	togglePause(forcePause, pauseMove, noSound){
 		if(!this.paused){
 			if(forcePause === false){
@@ -609,16 +829,75 @@ class Game{
 					pageEvents.send("game-lag", lag)
 				}
 			}
-			this.elapsedTime = currentDate - this.startDate
+			this.elapsedTime = (currentDate - this.startDate) * this.playbackRate
 		}
 	}
 	getAccurateTime(){
 		if(this.isPaused()){
 			return this.elapsedTime
 		}else{
-			return Date.now() - this.startDate
+			return (Date.now() - this.startDate) * this.playbackRate
+		}
+	}
+	setTime(ms){
+		var timestamp = Date.now()
+		this.started = true
+		this.elapsedTime = ms
+		this.startDate = timestamp - ms / this.playbackRate
+		this.sndTime = timestamp - snd.buffer.getTime() * 1000
+		if(this.paused){
+			this.latestDate = timestamp
+		}
+		if(this.mainMusicPlaying){
+			this.mainMusicPlaying = false
+			this.mainAsset.stop()
+		}
+		if(this.controller.lyrics){
+			this.controller.lyrics.offsetChange()
 		}
 	}
+	seek(ms, silent){
+		// Notes before the new position are skipped, the ones after it can be played again
+		this.setTime(ms)
+		var circles = this.songData.circles
+		var current = -1
+		for(var i = 0; i < circles.length; i++){
+			var circle = circles[i]
+			if(circle.endTime >= ms){
+				if(current === -1){
+					current = i
+				}
+				circle.reset()
+			}else if(!circle.isPlayed && (!circle.branch || circle.branch.active)){
+				if(silent){
+					circle.played(0, false)
+				}else{
+					this.skipNote(circle)
+				}
+			}
+		}
+		this.currentCircle = (current === -1 ? circles.length : current) - 1
+		this.updateCurrentCircle()
+		
+		var events = this.songData.events
+		var lastEvent = 0
+		for(var i = 0; i < events.length; i++){
+			if(events[i].ms <= ms){
+				lastEvent = i
+			}
+		}
+		for(var i = lastEvent; i < events.length; i++){
+			events[i].gogoChecked = false
+			events[i].beatMSCopied = false
+		}
+		this.songData.measures.forEach(measure => {
+			if(measure.ms >= ms){
+				measure.gameChecked = false
+				measure.viewChecked = false
+			}
+		})
+		this.resetSection()
+	}
 	getCircles(){
 		return this.songData.circles
 	}
@@ -643,7 +922,7 @@ class Game{
 		if(this.combo === 50 || this.combo > 0 && this.combo % 100 === 0 && this.combo <= 5000){
 			this.controller.playSound("v_combo_" + this.combo)
 		}
-		if (this.songData.scoremode == 2 && this.combo > 0 && this.combo % 100 == 0) { 
+		if (this.scoring === "default" && this.songData.scoremode == 2 && this.combo > 0 && this.combo % 100 == 0) { 
 			this.globalScore.points += 10000;
 		}
 		this.view.updateCombo(this.combo)
@@ -670,13 +949,17 @@ class Game{
 				this.globalScore.gauge += this.soulPoints.bad
 				break
 		}
+		var judgement = score
+		var scoreValues = this.getScoreValues()
+		var scoreinit = scoreValues.init
+		var scorediff = scoreValues.diff
 		if (this.songData.scoremode) { 
 			switch (score) {
 				case 450:
-					score = this.songData.scoreinit;
+					score = scoreinit;
 					break;
 				case 230:
-					score = Math.floor(this.songData.scoreinit / 2);
+					score = Math.floor(scoreinit / 2);
 					break;
 			}
 		}
@@ -686,7 +969,14 @@ class Game{
 		}else if(this.globalScore.gauge > 10000){
 			this.globalScore.gauge = 10000
 		}
+		if(this.failedMS === null && !this.controller.mods.noFail && this.rules.failed(this.globalScore.gauge)){
+			this.controller.gaugeFailed()
+		}
 		// Points update
+		if(this.scoring !== "default"){
+			this.globalScore.points += this.getShinuchiPoints(judgement, multiplier)
+			return
+		}
 		if (this.songData.scoremode == 2) {
 			var diff_mul = 0;
 			if (this.combo >= 100) {
@@ -698,9 +988,9 @@ class Game{
 			} else if (this.combo >= 10) {
 				diff_mul = 1;
 			}
-			score += this.songData.scorediff * diff_mul;
+			score += scorediff * diff_mul;
 		} else { 
-			score += Math.max(0, Math.floor((Math.min(this.combo, 100) - 1) / 10) * (this.songData.scoremode ? this.songData.scorediff : 100));
+			score += Math.max(0, Math.floor((Math.min(this.combo, 100) - 1) / 10) * (this.songData.scoremode ? scorediff : 100));
 		}
 		
 		if(gogoTime){
@@ -708,6 +998,32 @@ class Game{
 		}
 		this.globalScore.points += Math.floor(score * multiplier / 10) * 10
 	}
+	getShinuchiPoints(score, multiplier){
+		// No combo or gogo time bonus, an ok is worth half of a good
+		var points = 0
+		if(score === 450){
+			points = this.shinuchiInit
+		}else if(score === 230){
+			points = Math.floor(this.shinuchiInit / 20) * 10
+		}
+		if(this.scoring === "shinuchi"){
+			points *= multiplier
+		}
+		return points
+	}
+	getScoreValues(){
+		var danSong = this.danSongs ? this.danSongs[this.danSong] : null
+		if(danSong && danSong.scoreinit){
+			return {
+				init: danSong.scoreinit,
+				diff: danSong.scorediff || this.songData.scorediff
+			}
+		}
+		return {
+			init: this.songData.scoreinit,
+			diff: this.songData.scorediff
+		}
+	}
 	setBranch(currentBranch, activeName){
 		var pastActive = currentBranch.active
 		var ms = currentBranch.ms
@@ -736,6 +1052,9 @@ class Game{
 				}
 				if(branch === currentBranch){
 					activeName = relevantName
+					if(this.controller.replayRecorder){
+						this.controller.replayRecorder.branch(branch.ms, relevantName)
+					}
 				}
 				branch.active = relevantName
 			}
@@ -758,6 +1077,7 @@ class Game{
 	resetSection(){
 		this.sectionNotes = []
 		this.sectionDrumroll = 0
+		this.sectionStartPoints = this.globalScore.points
 	}
 	clearKeyTime(){
 		var keyboard = this.controller.keyboard
@@ -70,7 +70,7 @@ class GameInput{
 		}
 	}
 	keyPress(pressed, name){
-		if(!this.controller.autoPlayEnabled || this.game.isPaused() || name !== "don_l" && name !== "don_r" && name !== "ka_l" && name !== "ka_r"){
+		if(!this.controller.autoPlayEnabled && !this.controller.replayPlayer || this.game.isPaused() || name !== "don_l" && name !== "don_r" && name !== "ka_l" && name !== "ka_r"){
 			this.setKey(pressed, name, this.game.getAccurateTime())
 		}
 	}
@@ -83,7 +83,7 @@ class GameInput{
 		}
 	}
 	gamepadKeys(){
-		if(!this.game.isPaused() && !this.controller.autoPlayEnabled){
+		if(!this.game.isPaused() && !this.controller.autoPlayEnabled && !this.controller.replayPlayer){
 			this.gamepad.play((pressed, name) => {
 				if(pressed){
 					if(this.keys[name]){
@@ -200,6 +200,9 @@ class GameInput{
 				return
 			}
 			this.keyTime[name] = ms
+			if(this.controller.replayRecorder){
+				this.controller.replayRecorder.input(name, ms)
+			}
 			var calibrationState = this.game.calibrationState
 			var calibration = calibrationState && !this.game.paused
 			if(name == "don_l" || name == "don_r"){
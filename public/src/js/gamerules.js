@@ -4,23 +4,42 @@ class GameRules{
 	}
 	init(game){
 		this.difficulty = game.controller.selectedSong.difficulty
+		this.gaugeType = game.controller.mods.gauge
 		var frame = 1000 / 60
+		var judgement = game.controller.judgement
+		var presets = {
+			nijiiro: [3 / 2 * frame, 9 / 2 * frame, 13 / 2 * frame],
+			lenient: [5 / 2 * frame, 13 / 2 * frame, 15 / 2 * frame],
+			strict: [1 * frame, 3 * frame, 5 * frame]
+		}
+		var custom = /^\d+(\.\d+)?-\d+(\.\d+)?-\d+(\.\d+)?$/.test(judgement) ? judgement.split("-").map(parseFloat) : null
 		
-		switch(this.difficulty){
-			case "easy":
-			case "normal":
-				this.good = 5 / 2 * frame
-				this.ok = 13 / 2 * frame
-				this.bad = 15 / 2 * frame
-				break
-			case "hard":
-			case "oni":
-			case "ura":
-			default:
-				this.good = 3 / 2 * frame
-				this.ok = 9 / 2 * frame
-				this.bad = 13 / 2 * frame
-				break
+		if(presets.hasOwnProperty(judgement)){
+			// Same windows on every difficulty
+			this.good = presets[judgement][0]
+			this.ok = presets[judgement][1]
+			this.bad = presets[judgement][2]
+		}else if(custom){
+			this.good = custom[0]
+			this.ok = Math.max(custom[0], custom[1])
+			this.bad = Math.max(this.ok, custom[2])
+		}else{
+			switch(this.difficulty){
+				case "easy":
+				case "normal":
+					this.good = 5 / 2 * frame
+					this.ok = 13 / 2 * frame
+					this.bad = 15 / 2 * frame
+					break
+				case "hard":
+				case "oni":
+				case "ura":
+				default:
+					this.good = 3 / 2 * frame
+					this.ok = 9 / 2 * frame
+					this.bad = 13 / 2 * frame
+					break
+			}
 		}
 		switch(this.difficulty){
 			case "easy":
@@ -32,12 +51,17 @@ class GameRules{
 				break
 			case "oni":
 			case "ura":
+			case "dan":
 				this.gaugeClear = 40 / 50
 				break
 			default:
 				this.gaugeClear = 51 / 50
 				break
 		}
+		if(this.hardGauge()){
+			// Hard gauges start full, the song is cleared as long as the gauge does not run out
+			this.gaugeClear = 1 / 50
+		}
 		
 		this.daiLeniency = 2 * frame
 	}
@@ -61,11 +85,29 @@ class GameRules{
 				break
 			case "oni":
 			case "ura":
+			case "dan":
 				good = Math.floor(10000 / combo / 0.7)
 				ok = Math.floor(good * 0.5)
 				bad = Math.ceil(good * -1.6)
 				break
 		}
+		switch(this.gaugeType){
+			case "hard":
+				good = Math.ceil(good / 2)
+				ok = 0
+				bad = -800
+				break
+			case "extreme":
+				good = Math.ceil(good / 4)
+				ok = -200
+				bad = -1600
+				break
+			case "survival":
+				good = 0
+				ok = 0
+				bad = -10000
+				break
+		}
 		return {good: good, ok: ok, bad: bad}
 	}
 	gaugePercent(gauge){
@@ -74,4 +116,16 @@ class GameRules{
 	clearReached(gauge){
 		return this.gaugePercent(gauge) >= this.gaugeClear
 	}
+	hardGauge(){
+		return this.gaugeType === "hard" || this.gaugeType === "extreme" || this.gaugeType === "survival"
+	}
+	gaugeStart(){
+		return this.hardGauge() ? 10000 : 0
+	}
+	failed(gauge){
+		return this.hardGauge() && !this.clearReached(gauge)
+	}
+	getBadge(){
+		return this.hardGauge() ? this.gaugeType : ""
+	}
 }
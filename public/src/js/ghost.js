@@ -0,0 +1,76 @@
+class Ghost{
+	constructor(...args){
+		this.init(...args)
+	}
+	init(controller){
+		this.controller = controller
+		this.game = controller.game
+		this.trace = []
+		this.last = null
+		this.ghost = null
+		this.index = 0
+		var selectedSong = controller.selectedSong
+		if(settings.getItem("showGhost") && !controller.autoPlayEnabled){
+			var hash = scoreStorage.scoreHash(selectedSong.hash, controller.mods, controller.judgement)
+			scoreStorage.getGhost(hash, selectedSong.difficulty).then(ghost => {
+				if(ghost && this.controller){
+					this.ghost = ghost
+				}
+			})
+		}
+	}
+	update(){
+		var ms = this.game.elapsedTime
+		var score = this.game.getGlobalScore()
+		var last = this.last
+		if(ms < 0 || last && last.points === score.points && last.gauge === score.gauge && last.combo === this.game.combo){
+			return
+		}
+		this.last = {
+			points: score.points,
+			gauge: score.gauge,
+			combo: this.game.combo
+		}
+		// Flat list of [ms, points, gauge, combo] samples
+		this.trace.push(Math.round(ms), score.points, score.gauge, this.game.combo)
+	}
+	getTrace(points){
+		return {
+			version: 1,
+			date: Date.now(),
+			points: points,
+			trace: this.trace
+		}
+	}
+	get(ms){
+		var trace = this.ghost ? this.ghost.trace : null
+		if(!trace || !trace.length){
+			return null
+		}
+		if(this.index >= trace.length || trace[this.index] > ms){
+			this.index = 0
+		}
+		while(this.index + 4 < trace.length && trace[this.index + 4] <= ms){
+			this.index += 4
+		}
+		var i = this.index
+		if(trace[i] > ms){
+			return {
+				points: 0,
+				gauge: 0,
+				combo: 0
+			}
+		}
+		return {
+			points: trace[i + 1],
+			gauge: trace[i + 2],
+			combo: trace[i + 3]
+		}
+	}
+	clean(){
+		// The trace is kept for the scoresheet, which saves it after the game is cleaned
+		delete this.controller
+		delete this.game
+		delete this.ghost
+	}
+}
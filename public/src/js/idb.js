@@ -47,6 +47,9 @@ class IDB{
 	removeItem(name){
 		return this.transaction("delete", name)
 	}
+	getAll(){
+		return this.transaction("getAll")
+	}
 	removeDB(){
 		delete this.db
 		return indexedDB.deleteDatabase(this.name)
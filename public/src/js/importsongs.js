@@ -6,16 +6,28 @@ class ImportSongs{
 		this.limited = limited
 		this.tjaFiles = []
 		this.osuFiles = []
+		this.tciFiles = []
+		this.courseFiles = []
 		this.assetFiles = {}
 		this.pluginFiles = []
 		this.otherFiles = otherFiles || {}
 		this.noPlugins = noPlugins
 		this.pluginAmount = pluginAmount
 		this.songs = []
+		this.diagnostics = []
 		this.stylesheet = []
 		this.plugins = []
 		this.songTitle = this.otherFiles.songTitle || {}
 		this.uraRegex = /\s*[\(（]裏[\)）]$/
+		this.genres = {}
+		this.genreColors = {
+			"bgcolor": "background",
+			"boxcolor": "background",
+			"genrecolor": "background",
+			"backcolor": "background",
+			"fontedgecolor": "outline",
+			"outlinecolor": "outline"
+		}
 		this.courseTypes = {
 			"easy": 0,
 			"normal": 1,
@@ -71,6 +83,16 @@ class ImportSongs{
 					file: file,
 					index: i
 				})
+			}else if(!this.limited && name.endsWith(".tci")){
+				this.tciFiles.push({
+					file: file,
+					index: i
+				})
+			}else if(!this.limited && (name.endsWith(".tjc") || name.endsWith(".tcm"))){
+				this.courseFiles.push({
+					file: file,
+					index: i
+				})
 			}else if(!this.limited && (name === "genre.ini" || name === "box.def") || name === "songtitle.txt"){
 				var level = (file.path.match(/\//g) || []).length
 				metaFiles.push({
@@ -118,7 +140,10 @@ class ImportSongs{
 				}
 				return Promise.all(startPromises).then(() => {
 					var importSongs = new ImportSongs(this.limited, this.otherFiles, true, pluginAmount)
-					return importSongs.load(files)
+					return importSongs.load(files).then(songs => {
+						this.diagnostics = importSongs.diagnostics
+						return songs
+					})
 				})
 			})
 		}
@@ -129,10 +154,21 @@ class ImportSongs{
 		})
 		
 		return Promise.all(metaPromises).then(() => {
+			var tciPromises = []
+			this.tciFiles.forEach(fileObj => {
+				tciPromises.push(this.addTci(fileObj).catch(e => console.warn(e)))
+			})
+			return Promise.all(tciPromises)
+		}).then(() => {
 			var songPromises = []
 			
 			this.tjaFiles.forEach(fileObj => {
-				songPromises.push(this.addTja(fileObj).catch(e => console.warn(e)))
+				if(!fileObj.tciChart){
+					songPromises.push(this.addTja(fileObj).catch(e => console.warn(e)))
+				}
+			})
+			this.courseFiles.forEach(fileObj => {
+				songPromises.push(this.addCourse(fileObj).catch(e => console.warn(e)))
 			})
 			this.osuFiles.forEach(fileObj => {
 				songPromises.push(this.addOsu(fileObj).catch(e => console.warn(e)))
@@ -149,6 +185,7 @@ class ImportSongs{
 		return file.read(name === "songtitle.txt" ? undefined : "utf-8").then(data => {
 			var data = data.replace(/\0/g, "").split("\n")
 			var category
+			var colors = {}
 			if(name === "genre.ini"){
 				var key
 				for(var i = 0; i < data.length; i++){
@@ -157,33 +194,43 @@ class ImportSongs{
 						key = line.slice(1, -1)
 					}else if(key === "genre"){
 						var equalsPos = line.indexOf("=")
-						if(equalsPos !== -1 && line.slice(0, equalsPos).trim() === "genrename"){
+						if(equalsPos === -1){
+							continue
+						}
+						var lineName = line.slice(0, equalsPos).trim()
+						if(lineName === "genrename" && !category){
 							var value = line.slice(equalsPos + 1).trim()
 							if(value.toLowerCase() in this.categoryAliases){
 								category = value
 							}else{
 								category = data[i].trim().slice(equalsPos + 1).trim()
 							}
-							break
+						}else if(lineName in this.genreColors){
+							colors[this.genreColors[lineName]] = line.slice(equalsPos + 1).trim()
 						}
 					}
 				}
 			}else if(name === "box.def"){
+				var genreFound = false
 				for(var i = 0; i < data.length; i++){
 					var line = data[i].trim().toLowerCase()
-					if(line.startsWith("#title:")){
+					var colonPos = line.indexOf(":")
+					var lineName = colonPos === -1 ? "" : line.slice(1, colonPos).trim()
+					if(line.startsWith("#title:") && !genreFound){
 						var value = line.slice(7).trim()
 						if(value.toLowerCase() in this.categoryAliases){
 							category = value
 						}
-					}else if(line.startsWith("#genre:")){
+					}else if(line.startsWith("#genre:") && !genreFound){
 						var value = line.slice(7).trim()
 						if(value.toLowerCase() in this.categoryAliases){
 							category = value
 						}else{
 							category = data[i].trim().slice(7).trim()
 						}
-						break
+						genreFound = true
+					}else if(line.startsWith("#") && lineName in this.genreColors){
+						colors[this.genreColors[lineName]] = line.slice(colonPos + 1).trim()
 					}
 				}
 			}else if(name === "songtitle.txt"){
@@ -202,6 +249,9 @@ class ImportSongs{
 				}
 			}
 			if(category){
+				if(!(category.toLowerCase() in this.categoryAliases)){
+					this.addGenre(category, colors, file.path.toLowerCase())
+				}
 				var metaPath = file.path.toLowerCase().slice(0, file.name.length * -1)
 				var filesLoop = fileObj => {
 					var tjaPath = fileObj.file.path.toLowerCase().slice(0, fileObj.file.name.length * -1)
@@ -216,17 +266,68 @@ class ImportSongs{
 				}
 				this.tjaFiles.forEach(filesLoop)
 				this.osuFiles.forEach(filesLoop)
+				this.tciFiles.forEach(filesLoop)
+				this.courseFiles.forEach(filesLoop)
 			}
 		}).catch(e => {
 			console.warn(e)
 		})
 	}
 	
+	addGenre(title, colors, path){
+		// Box colours from TJAPlayer packs, the border and text colours are derived from the box colour
+		var genre = this.genres[title]
+		if(genre && genre.path < path){
+			return
+		}
+		genre = {
+			title: title,
+			path: path,
+			songSkin: null
+		}
+		this.genres[title] = genre
+		var background = this.parseColor(colors.background)
+		var outline = this.parseColor(colors.outline)
+		if(background || outline){
+			background = background || [236, 236, 236]
+			outline = outline || this.mixColor(background, [0, 0, 0], 0.5)
+			genre.songSkin = {
+				background: this.colorString(background),
+				border: [
+					this.colorString(this.mixColor(background, [255, 255, 255], 0.6)),
+					this.colorString(this.mixColor(background, [0, 0, 0], 0.35))
+				],
+				outline: this.colorString(outline),
+				infoFill: this.colorString(outline)
+			}
+		}
+	}
+	
+	parseColor(color){
+		if(!color){
+			return null
+		}
+		var hex = color.replace(/^#/, "")
+		if(hex.length === 3){
+			hex = hex.split("").map(digit => digit + digit).join("")
+		}
+		if(!/^[0-9a-f]{6}$/i.test(hex)){
+			return null
+		}
+		return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16))
+	}
+	
+	mixColor(color, mix, amount){
+		return color.map((value, i) => Math.round(value + (mix[i] - value) * amount))
+	}
+	
+	colorString(color){
+		return "#" + color.map(value => value.toString(16).padStart(2, "0")).join("")
+	}
+	
 	addTja(fileObj){
 		var file = fileObj.file
 		var index = fileObj.index
-		var category = fileObj.category
-		var category_id = fileObj.category_id
 		if(!this.limited){
 			var filePromise = file.read(prompt("太鼓さん次郎のファイルは\"sjis\"、TJAPlayer3のファイルは\"utf-8\"と入力してください。"))
 		}else{
@@ -235,6 +336,15 @@ class ImportSongs{
 		return filePromise.then(dataRaw => {
 			var data = dataRaw ? dataRaw.replace(/\0/g, "").split("\n") : []
 			var tja = new ParseTja(data, "oni", 0, 0, true)
+			if(!this.limited){
+				var diagnostics = tja.validate()
+				if(diagnostics.length){
+					this.diagnostics.push({
+						path: file.path,
+						diagnostics: diagnostics
+					})
+				}
+			}
 			var songObj = {
 				id: index + 1,
 				order: index + 1,
@@ -253,31 +363,36 @@ class ImportSongs{
 			var titleLangAdded = false
 			var subtitleLangAdded = false
 			var subtitleLang = {}
+			var genre
 			var dir = file.path.toLowerCase()
 			dir = dir.slice(0, dir.lastIndexOf("/") + 1)
 			for(var diff in tja.metadata){
 				var meta = tja.metadata[diff]
 				songObj.title = meta.title || file.name.slice(0, file.name.lastIndexOf("."))
-				var subtitle = meta.subtitle || ""
-				if(subtitle.startsWith("--") || subtitle.startsWith("++")){
-					subtitle = subtitle.slice(2).trim()
-				}
-				songObj.subtitle = subtitle
+				songObj.subtitle = meta.subtitle || ""
+				songObj.subtitle_show = !!meta.subtitleshow
 				songObj.preview = meta.demostart || 0
 				songObj.courses[diff] = {
 					stars: meta.level || 0,
 					branch: !!meta.branch
 				}
 				coursesAdded = true
+				if(meta.nextSongs){
+					if(!songObj.danMusic){
+						songObj.danMusic = {}
+					}
+					meta.nextSongs.forEach(nextSong => {
+						var wave = nextSong.wave.toLowerCase()
+						if(wave && this.otherFiles[dir + wave]){
+							songObj.danMusic[wave] = this.otherFiles[dir + wave]
+						}
+					})
+				}
 				if(meta.wave){
 					songObj.music = this.otherFiles[dir + meta.wave.toLowerCase()] || songObj.music
 				}
 				if(meta.genre){
-					if(meta.genre.toLowerCase() in this.categoryAliases){
-						songObj.category_id = this.categoryAliases[meta.genre.toLowerCase()]
-					}else{
-						songObj.category = meta.genre
-					}
+					genre = meta.genre
 				}
 				if(meta.taikowebskin){
 					songObj.song_skin = this.getSkin(dir, meta.taikowebskin)
@@ -322,23 +437,15 @@ class ImportSongs{
 							songTitle = songTitle.slice(0, uraPos)
 						}
 					}
-					if(id === "cn" && !meta["titlecn"] && meta.titlezh){
-						titleLang.cn = meta.titlezh
-						titleLangAdded = true
-					}
-					if(meta["title" + id]){
-						titleLang[id] = meta["title" + id]
+					if(meta.title_lang && meta.title_lang[id]){
+						titleLang[id] = meta.title_lang[id]
 						titleLangAdded = true
 					}else if(songTitle in this.songTitle && this.songTitle[songTitle][id]){
 						titleLang[id] = this.songTitle[songTitle][id] + ura
 						titleLangAdded = true
 					}
-					if(id === "cn" && !meta["subtitlecn"] && meta.subtitlezh){
-						subtitleLang.cn = meta.subtitlezh
-						subtitleLangAdded = true
-					}
-					if(meta["subtitle" + id]){
-						subtitleLang[id] = meta["subtitle" + id]
+					if(meta.subtitle_lang && meta.subtitle_lang[id]){
+						subtitleLang[id] = meta.subtitle_lang[id]
 						subtitleLangAdded = true
 					}
 				}
@@ -349,36 +456,306 @@ class ImportSongs{
 			if(subtitleLangAdded){
 				songObj.subtitle_lang = subtitleLang
 			}
-			if(!songObj.category_id && !songObj.category){
-				if(!category && category_id === undefined){
-					songObj.category_id = this.getCategory(file, [songTitle || songObj.title, file.name.slice(0, file.name.lastIndexOf("."))])
-				}else if(category){
-					songObj.category = category
-					songObj.orginalCategory = category
-				}else{
-					songObj.category_id = category_id
-				}
-			}
+			this.setCategory(songObj, fileObj, genre, [songTitle || songObj.title])
 			if(coursesAdded || songObj.unloaded){
 				this.songs[index] = songObj
 			}
 			if(!this.limited){
-				var hash = md5.base64(dataRaw).slice(0, -2)
-				songObj.hash = hash
-				scoreStorage.songTitles[songObj.title] = hash
-				var score = scoreStorage.get(hash, false, true)
-				if(score){
-					score.title = songObj.title
+				this.setHash(songObj, dataRaw)
+			}
+		})
+	}
+	
+	addTci(fileObj){
+		// TJAPlayer song info, a JSON file listing the chart of every difficulty
+		var file = fileObj.file
+		var dir = file.path.toLowerCase()
+		dir = dir.slice(0, dir.lastIndexOf("/") + 1)
+		return file.read("utf-8").then(dataRaw => {
+			var info = JSON.parse(dataRaw.replace(/^\ufeff/, ""))
+			var chart = {
+				separateDiff: true
+			}
+			var courses = {}
+			var chartPromises = (info.courses || []).map(course => {
+				var diff = (course.difficulty || "").toString().toLowerCase()
+				if(!(diff in this.courseTypes)){
+					diff = diff === "edit" ? "ura" : Object.keys(this.courseTypes)[parseInt(diff)]
+				}
+				var chartFile = course.single ? this.findTja(dir, course.single) : null
+				if(!diff || !chartFile){
+					return
+				}
+				chartFile.tciChart = true
+				return chartFile.file.read("utf-8").then(data => {
+					var tja = new ParseTja(data.replace(/\0/g, "").split("\n"), diff, 0, 0, true)
+					var meta = tja.metadata[diff]
+					if(meta){
+						chart[diff] = chartFile.file
+						courses[diff] = {
+							stars: parseInt(course.level) || meta.level || 0,
+							branch: !!meta.branch
+						}
+					}
+				})
+			})
+			return Promise.all(chartPromises).then(() => {
+				if(!Object.keys(courses).length){
+					return
+				}
+				var title = this.langValue(info.title)
+				var subtitle = this.langValue(info.subtitle)
+				var songObj = {
+					id: fileObj.index + 1,
+					order: fileObj.index + 1,
+					title: title.text || file.name.slice(0, file.name.lastIndexOf(".")),
+					subtitle: subtitle.text.replace(/^(--|\+\+)/, "").trim(),
+					type: "tja",
+					chart: chart,
+					courses: courses,
+					preview: parseFloat(info.songPreview || info.demoStart) || 0,
+					music: info.audio && this.otherFiles[this.normPath(this.joinPath(dir, info.audio))] || "muted",
+					custom: true
+				}
+				if(title.lang){
+					songObj.title_lang = title.lang
+				}
+				if(subtitle.lang){
+					songObj.subtitle_lang = subtitle.lang
 				}
+				this.setCategory(songObj, fileObj, info.genre)
+				this.setHash(songObj, dataRaw)
+				this.songs[fileObj.index] = songObj
+			})
+		})
+	}
+	
+	addCourse(fileObj){
+		// Course files (.tjc) and medleys (.tcm) list several charts that are played
+		// back to back, they are converted to a single Dan-i Dojo chart
+		var file = fileObj.file
+		var dir = file.path.toLowerCase()
+		dir = dir.slice(0, dir.lastIndexOf("/") + 1)
+		return file.read("utf-8").then(dataRaw => {
+			dataRaw = dataRaw.replace(/\0/g, "").replace(/^\ufeff/, "")
+			var info = {
+				songs: [],
+				exams: []
+			}
+			if(file.name.toLowerCase().endsWith(".tcm")){
+				var medley = JSON.parse(dataRaw)
+				info.title = medley.title
+				info.subtitle = medley.subtitle
+				info.genre = medley.genre
+				info.songs = (medley.songs || medley.courses || []).map(song => typeof song === "string" ? {
+					path: song
+				} : {
+					path: song.single || song.chart || song.file || "",
+					course: song.difficulty
+				})
+			}else{
+				var course = "oni"
+				dataRaw.split("\n").forEach(line => {
+					var [name, value] = this.splitHeader(line)
+					if(name === "song"){
+						var [path, songCourse] = value.split(",")
+						info.songs.push({
+							path: path.trim(),
+							course: songCourse ? songCourse.trim() : course
+						})
+					}else if(name === "course"){
+						course = value
+					}else if(name === "title" || name === "subtitle" || name === "genre"){
+						info[name] = value
+					}else if(/^exam\d+$/.test(name)){
+						info.exams.push(line.trim())
+					}
+				})
 			}
+			var danMusic = {}
+			var songPromises = info.songs.map(song => {
+				var chartFile = song.path ? this.findTja(dir, song.path) : null
+				if(!chartFile){
+					return Promise.resolve(null)
+				}
+				return chartFile.file.read("utf-8").then(data => {
+					var tja = new ParseTja(data.replace(/\0/g, "").split("\n"), "oni", 0, 0, true)
+					var diff = (song.course || "oni").toString().toLowerCase()
+					diff = tja.courseTypes[diff] || diff
+					var meta = tja.metadata[diff] || tja.metadata[Object.keys(tja.metadata)[0]]
+					if(!meta){
+						return null
+					}
+					var chartDir = chartFile.file.path.toLowerCase()
+					chartDir = chartDir.slice(0, chartDir.lastIndexOf("/") + 1)
+					var wave = meta.wave ? chartDir + meta.wave.toLowerCase() : ""
+					if(wave && this.otherFiles[wave]){
+						danMusic[wave] = this.otherFiles[wave]
+					}
+					return {
+						tja: tja,
+						meta: meta,
+						diff: diff in tja.metadata ? diff : Object.keys(tja.metadata)[0],
+						wave: wave
+					}
+				})
+			})
+			return Promise.all(songPromises).then(songs => {
+				songs = songs.filter(song => song)
+				if(!songs.length){
+					return
+				}
+				var text = this.courseTja(info, songs)
+				var songObj = {
+					id: fileObj.index + 1,
+					order: fileObj.index + 1,
+					title: info.title || file.name.slice(0, file.name.lastIndexOf(".")),
+					subtitle: (info.subtitle || "").replace(/^(--|\+\+)/, "").trim(),
+					type: "tja",
+					chart: new CachedFile(text, file),
+					courses: {
+						dan: {
+							stars: Math.max(...songs.map(song => song.meta.level || 0)),
+							branch: songs.some(song => song.meta.branch)
+						}
+					},
+					music: danMusic[songs[0].wave] || "muted",
+					danMusic: danMusic,
+					custom: true
+				}
+				this.setCategory(songObj, fileObj, info.genre)
+				this.setHash(songObj, text)
+				this.songs[fileObj.index] = songObj
+			})
 		})
 	}
 	
+	courseTja(info, songs){
+		var balloons = {
+			normal: [],
+			advanced: [],
+			master: []
+		}
+		var branched = false
+		var lines = []
+		songs.forEach((song, i) => {
+			var meta = song.meta
+			// The first song uses the OFFSET header, a positive offset on later songs delays their music instead
+			var offset = i === 0 ? 0 : meta.offset || 0
+			var nextSong = [
+				meta.title || "",
+				meta.subtitle || "",
+				meta.genre || "",
+				song.wave,
+				meta.scoreinit || "",
+				meta.scorediff || "",
+				meta.level || 0,
+				song.diff,
+				offset > 0 ? offset : 0
+			].map(value => value.toString().replace(/,/g, " "))
+			lines.push("#NEXTSONG " + nextSong.join(","))
+			lines.push("#BPMCHANGE " + (meta.bpm || 120))
+			lines.push("#SCROLL 1")
+			lines.push("#MEASURE 4/4")
+			lines.push("#GOGOEND")
+			lines.push("#BARLINEON")
+			if(offset < 0){
+				lines.push("#DELAY " + -offset)
+			}
+			// Balloon hits come from the parsed chart so a song with missing values does not shift the next songs
+			var chart = new ParseTja(song.tja.data, song.diff, meta.level || 0, 0)
+			for(var name in balloons){
+				chart.circles.forEach(circle => {
+					if(circle.type === "balloon" && (!circle.branch || circle.branch.name === name)){
+						balloons[name].push(circle.requiredHits || 1)
+					}
+				})
+			}
+			if(chart.branches && chart.branches.length){
+				branched = true
+			}
+			lines = lines.concat(song.tja.data.slice(meta.start, meta.end))
+		})
+		var header = [
+			"TITLE:" + (info.title || ""),
+			"SUBTITLE:" + (info.subtitle || ""),
+			"GENRE:" + (info.genre || ""),
+			"BPM:" + (songs[0].meta.bpm || 120),
+			"OFFSET:" + (songs[0].meta.offset || 0),
+			"COURSE:Dan",
+			"BALLOON:" + balloons.normal.join(",")
+		]
+		if(branched){
+			header.push(
+				"BALLOONNOR:" + balloons.normal.join(","),
+				"BALLOONEXP:" + balloons.advanced.join(","),
+				"BALLOONMAS:" + balloons.master.join(",")
+			)
+		}
+		return header.concat(info.exams, ["#START"], lines, ["#END"]).join("\n")
+	}
+	
+	findTja(dir, path){
+		path = this.normPath(this.joinPath(dir, path))
+		return this.tjaFiles.find(fileObj => this.normPath(fileObj.file.path) === path)
+	}
+	
+	splitHeader(line){
+		var index = line.indexOf(":")
+		if(index === -1){
+			return ["", ""]
+		}
+		return [line.slice(0, index).trim().toLowerCase(), line.slice(index + 1).trim()]
+	}
+	
+	langValue(value){
+		// TJAPlayer info files store text either as a string or as an object keyed by language
+		if(!value || typeof value === "string"){
+			return {
+				text: value || ""
+			}
+		}
+		var lang = {}
+		for(var id in allStrings){
+			if(value[id]){
+				lang[id] = value[id]
+			}
+		}
+		return {
+			text: value.ja || value.default || value[Object.keys(value)[0]] || "",
+			lang: Object.keys(lang).length ? lang : null
+		}
+	}
+	
+	setCategory(songObj, fileObj, genre, titles){
+		if(genre && genre.toLowerCase() in this.categoryAliases){
+			songObj.category_id = this.categoryAliases[genre.toLowerCase()]
+		}else if(genre){
+			songObj.category = genre
+		}else if(fileObj.category){
+			songObj.category = fileObj.category
+			songObj.orginalCategory = fileObj.category
+		}else if(fileObj.category_id !== undefined){
+			songObj.category_id = fileObj.category_id
+		}else{
+			var file = fileObj.file
+			songObj.category_id = this.getCategory(file, (titles || [songObj.title]).concat(file.name.slice(0, file.name.lastIndexOf("."))))
+		}
+	}
+	
+	setHash(songObj, dataRaw){
+		var hash = md5.base64(dataRaw).slice(0, -2)
+		songObj.hash = hash
+		scoreStorage.songTitles[songObj.title] = hash
+		var score = scoreStorage.get(hash, false, true)
+		if(score){
+			score.title = songObj.title
+		}
+	}
+	
 	addOsu(fileObj){
 		var file = fileObj.file
 		var index = fileObj.index
-		var category = fileObj.category
-		var category_id = fileObj.category_id
 		if(!this.limited){
 			var filePromise = file.read()
 		}else{
@@ -426,22 +803,9 @@ class ImportSongs{
 				songObj.title = filename
 			}
 			this.songs[index] = songObj
-			if(!category && category_id === undefined){
-				songObj.category_id = this.getCategory(file, [osu.metadata.TitleUnicode, osu.metadata.Title, file.name.slice(0, file.name.lastIndexOf("."))])
-			}else if(category){
-				songObj.category = category
-				songObj.orginalCategory = category
-			}else{
-				songObj.category_id = category_id
-			}
+			this.setCategory(songObj, fileObj, null, [osu.metadata.TitleUnicode, osu.metadata.Title])
 			if(!this.limited){
-				var hash = md5.base64(dataRaw).slice(0, -2)
-				songObj.hash = hash
-				scoreStorage.songTitles[songObj.title] = hash
-				var score = scoreStorage.get(hash, false, true)
-				if(score){
-					score.title = songObj.title
-				}
+				this.setHash(songObj, dataRaw)
 			}
 		})
 	}
@@ -607,6 +971,7 @@ class ImportSongs{
 			document.head.appendChild(style)
 		}
 		if(this.songs.length){
+			assets.customGenres = Object.values(this.genres).sort((a, b) => a.path > b.path ? 1 : -1)
 			if(this.limited){
 				assets.otherFiles = this.otherFiles
 				assets.otherFiles.songTitle = this.songTitle
@@ -658,9 +1023,13 @@ class ImportSongs{
 	
 	clean(){
 		delete this.songs
+		delete this.diagnostics
 		delete this.tjaFiles
 		delete this.osuFiles
+		delete this.tciFiles
+		delete this.courseFiles
 		delete this.assetFiles
 		delete this.otherFiles
+		delete this.genres
 	}
 }
@@ -51,7 +51,7 @@ class Leaderboard {
 
 	async fetchData() {
 		try {
-			const url = `api/leaderboard/get?hash=${encodeURIComponent(this.songHash)}&difficulty=${encodeURIComponent(this.difficulty)}`
+			const url = `api/leaderboard/get?hash=${encodeURIComponent(this.songHash)}&difficulty=${encodeURIComponent(this.difficulty)}&judgement=${encodeURIComponent(settings.getJudgement())}`
 			const response = await fetch(url)
 			const data = await response.json()
 
@@ -80,6 +80,8 @@ class Leaderboard {
 				<li class="leaderboard-item ${rankClass}">
 					<span class="leaderboard-rank">${entry.rank}.</span>
 					<span class="leaderboard-name">${this.escapeHtml(entry.display_name)}</span>
+					${entry.mods ? `<span class="leaderboard-mods">${this.escapeHtml(mods.getText(mods.decode(entry.mods)))}</span>` : ""}
+					${entry.judgement && entry.judgement !== "arcade" ? `<span class="leaderboard-mods">${this.escapeHtml(settings.getJudgementText(entry.judgement))}</span>` : ""}
 					<span class="leaderboard-score">${entry.score_value.toLocaleString()}${strings.points}</span>
 				</li>
 			`
@@ -217,6 +219,15 @@ class Leaderboard {
 				text-overflow: ellipsis;
 				white-space: nowrap;
 			}
+			.leaderboard-mods {
+				margin: 0 10px;
+				padding: 2px 8px;
+				border-radius: 10px;
+				background: #eee;
+				color: #666;
+				font-size: 0.8em;
+				white-space: nowrap;
+			}
 			.leaderboard-score {
 				font-weight: bold;
 				color: #ff6b6b;
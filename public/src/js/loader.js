@@ -364,9 +364,11 @@ class Loader{
 			}
 			
 			settings = new Settings()
+			mods = new Mods()
 			pageEvents.setKbd()
 			scoreStorage = new ScoreStorage()
 			db = new IDB("taiko", "store")
+			replayStorage = new ReplayStorage()
 			plugins = new Plugins()
 			
 			if(localStorage.getItem("lastSearchQuery")){
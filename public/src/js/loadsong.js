@@ -49,6 +49,14 @@ class LoadSong{
 						song.sound.clean()
 						delete song.sound
 					}
+					if(song.rateSound){
+						song.rateSound.sound.clean()
+						delete song.rateSound
+					}
+					if(song.danSounds){
+						song.danSounds.forEach(sound => sound && sound.clean())
+						delete song.danSounds
+					}
 					delete song.lyricsData
 				}
 			})
@@ -137,6 +145,9 @@ class LoadSong{
 		if(chart){
 			this.addPromise(chart.read(song.type === "tja" ? "utf-8" : "").then(data => {
 				this.songData = data.replace(/\0/g, "").split("\n")
+				if(song.difficulty === "dan" && song.type === "tja"){
+					return this.loadDanSongs(songObj)
+				}
 			}), chart.url)
 		}else{
 			this.songData = ""
@@ -176,11 +187,79 @@ class LoadSong{
 			this.promises.push(new Promise(resolve => setTimeout(resolve, 500)))
 		}
 		Promise.all(this.promises).then(() => {
+			if(!this.error){
+				return this.loadRateSound(songObj)
+			}
+		}).then(() => {
 			if(!this.error){
 				this.setupMultiplayer()
 			}
 		})
 	}
+	loadRateSound(songObj){
+		var rate = mods.getForSong(this.selectedSong, this.multiplayer).rate
+		var pitch = settings.getItem("ratePitch")
+		var rateSound = songObj.rateSound
+		if(rate === 1 || !songObj.sound){
+			return Promise.resolve()
+		}
+		if(rateSound && rateSound.rate === rate && rateSound.pitch === pitch && rateSound.source === songObj.sound){
+			rateSound.sound.gain = snd.musicGain
+			return Promise.resolve()
+		}
+		if(rateSound){
+			rateSound.sound.clean()
+			delete songObj.rateSound
+		}
+		var sound = songObj.sound
+		var promise = pitch ? sound.stretch(rate) : sound.resample(rate)
+		return promise.then(rateSound => {
+			songObj.rateSound = {
+				rate: rate,
+				pitch: pitch,
+				source: sound,
+				sound: rateSound
+			}
+		}, error => {
+			this.errorMsg(error)
+		})
+	}
+	loadDanSongs(songObj){
+		var tja = new ParseTja(this.songData, "dan", 0, 0, true)
+		var nextSongs = tja.metadata.dan && tja.metadata.dan.nextSongs || []
+		if(songObj.danSounds && songObj.danSounds.length === nextSongs.length){
+			songObj.danSounds.forEach(sound => {
+				if(sound){
+					sound.gain = snd.musicGain
+				}
+			})
+			return Promise.resolve()
+		}
+		songObj.danSounds = []
+		return Promise.all(nextSongs.map((nextSong, i) => {
+			var file = this.getDanSongFile(songObj, nextSong.wave)
+			if(!file){
+				return Promise.resolve()
+			}
+			return snd.musicGain.load(file).then(sound => {
+				songObj.danSounds[i] = sound
+			}, response => {
+				this.errorMsg(response, file.url)
+			})
+		}))
+	}
+	getDanSongFile(songObj, wave){
+		if(!wave){
+			return null
+		}
+		if(songObj.danMusic){
+			return songObj.danMusic[wave.toLowerCase()] || null
+		}
+		if(!songObj.custom){
+			return new RemoteFile(gameConfig.songs_baseurl + songObj.id + "/" + encodeURI(wave))
+		}
+		return null
+	}
 	addPromise(promise, url){
 		this.promises.push(promise.catch(response => {
 			this.errorMsg(response, url)
@@ -15,7 +15,22 @@ class Lyrics{
 		this.songOffset = songOffset || 0
 		this.vttOffset = 0
 		this.rLinebreak = /\n|\r\n/
-		this.lines = parsed ? file : this.parseFile(file)
+		this.rTag = /<(\/?)([a-z]*)((?:\.[\w-]+)*)[^>]*>|\r?\n/i
+		this.colours = ["white", "lime", "cyan", "red", "yellow", "magenta", "blue", "black"]
+		if(parsed){
+			this.lines = file.map(line => {
+				var lineObj = {}
+				for(var i in line){
+					lineObj[i] = line[i]
+				}
+				if(typeof line.text === "string"){
+					lineObj.text = this.langText(line.text)
+				}
+				return lineObj
+			})
+		}else{
+			this.lines = this.parseFile(file)
+		}
 		this.length = this.lines.length
 	}
 	parseFile(file){
@@ -62,46 +77,48 @@ class Lyrics{
 					if(index !== -1){
 						end = end.slice(0, index)
 					}
-					var text = value.trim()
-					var textLang = ""
-					var firstLang = -1
-					var index2 = -1
-					while(true){
-						var index1 = text.indexOf("<lang ", index2 + 1)
-						if(firstLang === -1){
-							firstLang = index1
-						}
-						if(index1 !== -1){
-							index2 = text.indexOf(">", index1 + 6)
-							if(index2 === -1){
-								break
-							}
-							var lang = text.slice(index1 + 6, index2).toLowerCase()
-							if(strings.preferEn && lang === "en" || strings.id === lang){
-								var index3 = text.indexOf("<lang ", index2 + 1)
-								if(index3 !== -1){
-									textLang = text.slice(index2 + 1, index3)
-								}else{
-									textLang = text.slice(index2 + 1)
-								}
-							}
-						}else{
-							break
-						}
-					}
-					if(!textLang){
-						textLang = firstLang === -1 ? text : text.slice(0, firstLang)
-					}
 					lines.push({
 						start: this.convertTime(start),
 						end: this.convertTime(end),
-						text: textLang
+						text: this.langText(value.trim())
 					})
 				}
 			}
 		}
 		return lines
 	}
+	langText(text){
+		var textLang = ""
+		var firstLang = -1
+		var index2 = -1
+		while(true){
+			var index1 = text.indexOf("<lang ", index2 + 1)
+			if(firstLang === -1){
+				firstLang = index1
+			}
+			if(index1 !== -1){
+				index2 = text.indexOf(">", index1 + 6)
+				if(index2 === -1){
+					break
+				}
+				var lang = text.slice(index1 + 6, index2).toLowerCase()
+				if(strings.preferEn && lang === "en" || strings.id === lang){
+					var index3 = text.indexOf("<lang ", index2 + 1)
+					if(index3 !== -1){
+						textLang = text.slice(index2 + 1, index3)
+					}else{
+						textLang = text.slice(index2 + 1)
+					}
+				}
+			}else{
+				break
+			}
+		}
+		if(!textLang){
+			textLang = firstLang === -1 ? text : text.slice(0, firstLang)
+		}
+		return textLang
+	}
 	convertTime(time){
 		if(time.startsWith("-")){
 			var mul = -1
@@ -148,67 +165,53 @@ class Lyrics{
 	}
 	setText(text){
 		this.stroke.innerHTML = this.fill.innerHTML = ""
-		var hasRuby = false
+		// Same markup as WebVTT cues: <ruby>, <rt>, <b>, <i>, <u> and <c.colour>
+		var parents = [{
+			stroke: this.stroke,
+			fill: this.fill
+		}]
 		while(text){
-			var matches = text.match(this.rLinebreak)
-			var index1 = matches ? matches.index : -1
-			var index2 = text.indexOf("<ruby>")
-			if(index1 !== -1 && (index2 === -1 || index2 > index1)){
-				this.textNode(text.slice(0, index1))
-				this.linebreakNode()
-				text = text.slice(index1 + matches[0].length)
-			}else if(index2 !== -1){
-				hasRuby = true
-				this.textNode(text.slice(0, index2))
-				text = text.slice(index2 + 6)
-				var index = text.indexOf("</ruby>")
-				if(index !== -1){
-					var ruby = text.slice(0, index)
-					text = text.slice(index + 7)
-				}else{
-					var ruby = text
-					text = ""
-				}
-				var index = ruby.indexOf("<rt>")
-				if(index !== -1){
-					var node1 = ruby.slice(0, index)
-					ruby = ruby.slice(index + 4)
-					var index = ruby.indexOf("</rt>")
-					if(index !== -1){
-						var node2 = ruby.slice(0, index)
-					}else{
-						var node2 = ruby
+			var parent = parents[parents.length - 1]
+			var matches = text.match(this.rTag)
+			if(!matches){
+				this.textNode(parent, text)
+				break
+			}
+			this.textNode(parent, text.slice(0, matches.index))
+			text = text.slice(matches.index + matches[0].length)
+			var name = (matches[2] || "").toLowerCase()
+			if(!matches[0].startsWith("<")){
+				this.insertNode(parent, () => document.createElement("br"))
+			}else if(matches[1]){
+				for(var i = parents.length; --i > 0;){
+					if(parents[i].name === name){
+						parents.splice(i)
+						break
 					}
-				}else{
-					var node1 = ruby
-					var node2 = ""
 				}
-				this.rubyNode(node1, node2)
-			}else{
-				this.textNode(text)
-				break
+			}else if(name === "ruby" || name === "rt" || name === "b" || name === "i" || name === "u" || name === "c"){
+				var classes = matches[3].split(".").filter(cls => this.colours.indexOf(cls.toLowerCase()) !== -1)
+				var createNode = () => {
+					var node = document.createElement(name === "c" ? "span" : name)
+					classes.forEach(cls => node.classList.add("lyrics-" + cls.toLowerCase()))
+					return node
+				}
+				parents.push({
+					name: name,
+					stroke: parent.stroke.appendChild(createNode()),
+					fill: parent.fill.appendChild(createNode())
+				})
 			}
 		}
 	}
-	insertNode(func){
-		this.stroke.appendChild(func())
-		this.fill.appendChild(func())
-	}
-	textNode(text){
-		this.insertNode(() => document.createTextNode(text))
+	insertNode(parent, func){
+		parent.stroke.appendChild(func())
+		parent.fill.appendChild(func())
 	}
-	linebreakNode(){
-		this.insertNode(() => document.createElement("br"))
-	}
-	rubyNode(node1, node2){
-		this.insertNode(() => {
-			var ruby = document.createElement("ruby")
-			var rt = document.createElement("rt")
-			ruby.appendChild(document.createTextNode(node1))
-			rt.appendChild(document.createTextNode(node2))
-			ruby.appendChild(rt)
-			return ruby
-		})
+	textNode(parent, text){
+		if(text){
+			this.insertNode(parent, () => document.createTextNode(text))
+		}
 	}
 	setScale(ratio){
 		this.div.style.setProperty("--scale", ratio)
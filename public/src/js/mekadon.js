@@ -19,7 +19,9 @@ class Mekadon{
 			this.game.updateCurrentCircle()
 		}
 		type = circle.type
-		if(type === "balloon"){
+		if(this.game.isOptionalNote(circle)){
+			return this.pass(circle)
+		}else if(type === "balloon"){
 			return this.playDrumrollAt(circle, 0, 30)
 		}else if(type === "drumroll" || type === "daiDrumroll"){
 			return this.playDrumrollAt(circle, 0, 60)
@@ -42,6 +44,13 @@ class Mekadon{
 			return this.playAt(circle, ms, score)
 		}
 	}
+	pass(circle){
+		if(this.getMS() >= circle.ms + this.delay){
+			circle.played(-1, false)
+			this.game.updateCurrentCircle()
+			return true
+		}
+	}
 	miss(circle){
 		var currentMs = circle.ms - this.getMS()
 		if(0 >= currentMs - 10){
@@ -65,6 +74,19 @@ class Mekadon{
 			var ms = circle.ms
 		}
 		
+		if(this.game.isOptionalNote(circle)){
+			this.setKey(this.lr ? "don_l" : "don_r", ms)
+			this.lr = !this.lr
+			if(type === "bomb"){
+				this.game.hitBomb(circle)
+			}else{
+				this.game.hitAdlib(circle)
+			}
+			this.game.updateCurrentCircle()
+			this.lastHit = ms
+			return true
+		}
+		
 		if(reverse){
 			if(type === "don" || type === "daiDon"){
 				type = "ka"
@@ -72,7 +94,11 @@ class Mekadon{
 				type = "don"
 			}
 		}
-		if(type === "daiDon" && playDai){
+		if(type === "kadon"){
+			this.setKey(this.lr ? "don_l" : "don_r", ms)
+			this.setKey(this.lr ? "ka_r" : "ka_l", ms)
+			this.lr = !this.lr
+		}else if(type === "daiDon" && playDai){
 			this.setKey("don_l", ms)
 			this.setKey("don_r", ms)
 			this.lr = false
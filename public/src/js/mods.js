@@ -0,0 +1,313 @@
+class Mods{
+	constructor(...args){
+		this.init(...args)
+	}
+	init(){
+		this.items = {
+			speed: {
+				id: "x",
+				type: "number",
+				options: [0.5, 1, 1.5, 2, 2.5, 3, 3.5, 4],
+				default: 1
+			},
+			rate: {
+				id: "t",
+				type: "number",
+				options: [0.5, 0.75, 1, 1.25, 1.5, 2],
+				default: 1
+			},
+			hidden: {
+				id: "h",
+				type: "toggle",
+				default: false
+			},
+			sudden: {
+				id: "s",
+				type: "toggle",
+				default: false
+			},
+			stealth: {
+				id: "d",
+				type: "toggle",
+				default: false
+			},
+			flip: {
+				id: "f",
+				type: "toggle",
+				default: false
+			},
+			random: {
+				id: "r",
+				type: "number",
+				options: [0, 10, 25, 50, 100],
+				default: 0
+			},
+			scoring: {
+				id: "c",
+				type: "option",
+				options: ["default", "shinuchi", "nijiiro"],
+				default: "default"
+			},
+			gauge: {
+				id: "g",
+				type: "option",
+				options: ["normal", "hard", "extreme", "survival"],
+				default: "normal"
+			},
+			noFail: {
+				id: "n",
+				type: "toggle",
+				default: false
+			},
+			autoBalloon: {
+				id: "b",
+				type: "toggle",
+				default: false,
+				unranked: true
+			},
+			perfectOnly: {
+				id: "p",
+				type: "toggle",
+				default: false
+			}
+		}
+		this.storage = {}
+		try{
+			var storage = localStorage.getItem("mods")
+			if(storage === null){
+				storage = this.fromLegacy()
+			}else{
+				storage = JSON.parse(storage) || {}
+			}
+			for(var name in this.items){
+				if(name in storage && this.valid(name, storage[name])){
+					this.storage[name] = storage[name]
+				}
+			}
+		}catch(e){}
+	}
+	fromLegacy(){
+		// Mods used to be separate localStorage keys set from prompts in the song select
+		var storage = {}
+		var speed = parseFloat(localStorage.getItem("baisoku"))
+		if(speed > 0){
+			storage.speed = this.nearest("speed", speed)
+		}
+		storage.stealth = localStorage.getItem("doron") === "true"
+		storage.flip = localStorage.getItem("abekobe") === "true"
+		var random = parseFloat(localStorage.getItem("detarame"))
+		if(random > 0){
+			storage.random = this.nearest("random", random)
+		}
+		try{
+			localStorage.setItem("mods", JSON.stringify(storage))
+			localStorage.removeItem("baisoku")
+			localStorage.removeItem("doron")
+			localStorage.removeItem("abekobe")
+			localStorage.removeItem("detarame")
+		}catch(e){}
+		return storage
+	}
+	valid(name, value){
+		var item = this.items[name]
+		if(item.type === "toggle"){
+			return typeof value === "boolean"
+		}else{
+			return item.options.indexOf(value) !== -1
+		}
+	}
+	nearest(name, value){
+		// Legacy values were typed in freely, only the listed options are kept now
+		return this.items[name].options.reduce((nearest, option) =>
+			Math.abs(option - value) < Math.abs(nearest - value) ? option : nearest
+		)
+	}
+	getItem(name){
+		if(name in this.storage){
+			return this.storage[name]
+		}
+		return this.items[name].default
+	}
+	setItem(name, value){
+		if(value === null || value === this.items[name].default){
+			delete this.storage[name]
+		}else{
+			this.storage[name] = value
+		}
+		try{
+			localStorage.setItem("mods", JSON.stringify(this.storage))
+		}catch(e){}
+	}
+	change(name, direction){
+		var item = this.items[name]
+		var value = this.getItem(name)
+		if(item.type === "toggle"){
+			value = !value
+		}else if(item.type === "option"){
+			var length = item.options.length
+			value = item.options[(item.options.indexOf(value) + direction + length) % length]
+		}else{
+			var index = item.options.findIndex(option => direction < 0 ? option >= value : option > value)
+			if(direction < 0){
+				index = (index === -1 ? item.options.length : index) - 1
+				if(index < 0){
+					index = item.options.length - 1
+				}
+			}else if(index === -1){
+				index = 0
+			}
+			value = item.options[index]
+		}
+		this.setItem(name, value)
+		return value
+	}
+	reset(){
+		for(var name in this.items){
+			this.setItem(name, null)
+		}
+	}
+	getForSong(selectedSong, multiplayer){
+		if(multiplayer || selectedSong.folder === "calibration"){
+			var values = this.getDefaults()
+		}else if(selectedSong.replay){
+			var values = this.decode(selectedSong.replay.mods)
+		}else{
+			var values = this.getActive()
+		}
+		if(selectedSong.difficulty === "dan" || selectedSong.practice){
+			// Dan courses switch between several songs and practice mode has its own speed slider
+			values.rate = 1
+		}
+		if(selectedSong.practice){
+			values.gauge = "normal"
+		}
+		return values
+	}
+	getDefaults(){
+		var values = {}
+		for(var name in this.items){
+			values[name] = this.items[name].default
+		}
+		return values
+	}
+	getActive(){
+		var values = {}
+		for(var name in this.items){
+			values[name] = this.getItem(name)
+		}
+		return values
+	}
+	isRanked(values){
+		for(var name in this.items){
+			if(this.items[name].unranked && values[name] !== this.items[name].default){
+				return false
+			}
+		}
+		return true
+	}
+	encode(values){
+		// Short form for score entries, replays and leaderboard submissions, such as "x1.5hr25"
+		var output = ""
+		for(var name in this.items){
+			var item = this.items[name]
+			var value = values[name]
+			if(name in values && value !== item.default){
+				if(item.type === "option"){
+					value = item.options.indexOf(value)
+				}
+				output += item.id + (item.type === "toggle" ? "" : value)
+			}
+		}
+		return output
+	}
+	decode(string){
+		var values = this.getDefaults()
+		if(typeof string !== "string"){
+			return values
+		}
+		var regex = /([a-z])([\d.]*)/g
+		var match
+		while(match = regex.exec(string)){
+			for(var name in this.items){
+				var item = this.items[name]
+				if(item.id === match[1]){
+					if(item.type === "toggle"){
+						values[name] = true
+					}else if(item.type === "option"){
+						var value = item.options[parseInt(match[2])]
+						if(value){
+							values[name] = value
+						}
+					}else{
+						var value = parseFloat(match[2])
+						if(this.valid(name, value)){
+							values[name] = value
+						}
+					}
+				}
+			}
+		}
+		return values
+	}
+	getValueText(name, value){
+		var item = this.items[name]
+		if(item.type === "toggle"){
+			return value ? strings.settings.on : strings.settings.off
+		}else if(item.type === "option"){
+			return strings.mods[name + "Options"][value]
+		}else if(name === "speed" || name === "rate"){
+			return "x" + value
+		}else{
+			return value + "%"
+		}
+	}
+	getText(values){
+		var output = []
+		for(var name in this.items){
+			var item = this.items[name]
+			var value = values[name]
+			if(name in values && value !== item.default){
+				output.push(strings.mods[name] + (item.type === "toggle" ? "" : " " + this.getValueText(name, value)))
+			}
+		}
+		return output.join(", ")
+	}
+	applyChart(circles, values){
+		var swap = {
+			"don": "ka",
+			"ka": "don",
+			"daiDon": "daiKa",
+			"daiKa": "daiDon"
+		}
+		circles.forEach(circle => {
+			var type = circle.type
+			if(!(type in swap)){
+				return
+			}
+			if(values.flip){
+				type = swap[type]
+			}
+			if(values.random && Math.random() * 100 < values.random){
+				type = Math.random() < 0.5 ? type : swap[type]
+			}
+			if(type !== circle.type){
+				circle.type = type
+				circle.text = strings.note[type]
+			}
+		})
+	}
+	noteAlpha(values, position){
+		// Position goes from 0 at the judgement circle to 1 at the edge of the lane
+		if(values.stealth){
+			return 0
+		}
+		var alpha = 1
+		if(values.hidden){
+			alpha = Math.min(alpha, (position - 0.2) / 0.25)
+		}
+		if(values.sudden){
+			alpha = Math.min(alpha, (0.6 - position) / 0.15)
+		}
+		return Math.max(0, Math.min(1, alpha))
+	}
+}
@@ -224,6 +224,17 @@ class P2Connection{
 		history.replaceState("", "", location.pathname + (string ? "#" + string : ""))
 	}
 	play(circle, mekadon){
+		if(mekadon.game.isOptionalNote(circle)){
+			var note = this.notes[0]
+			if(note && note[circle.type]){
+				if(mekadon.playAt(circle, note.ms, note.score)){
+					this.notes.shift()
+				}
+			}else{
+				mekadon.pass(circle)
+			}
+			return
+		}
 		if(this.otherConnected || this.notes.length > 0){
 			var type = circle.type
 			var drumrollNotes = type === "balloon" || type === "drumroll" || type === "daiDrumroll"
@@ -233,6 +244,10 @@ class P2Connection{
 				mekadon.game.updateCurrentCircle()
 			}
 			
+			while(this.notes.length && (this.notes[0].bomb || this.notes[0].adlib)){
+				// The opponent's bomb or ADLib message arrived after the note was passed
+				this.notes.shift()
+			}
 			if(drumrollNotes){
 				mekadon.playDrumrollAt(circle, 0, this.drumrollPace, type === "drumroll" || type === "daiDrumroll" ? this.kaAmount : 0)
 			}else if(this.notes.length === 0){
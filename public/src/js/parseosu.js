@@ -25,6 +25,7 @@ class ParseOsu{
 			SLIDER: 2,
 			NEWCOMBO: 4,
 			SPINNER: 8,
+			HOLD: 128,
 			
 			NORMAL: 1,
 			WHISTLE: 2,
@@ -44,6 +45,8 @@ class ParseOsu{
 				this.data.push(line)
 			}
 		}
+		var version = this.data[0] ? this.data[0].match(/^osu file format v(\d+)/) : null
+		this.version = version ? parseInt(version[1]) : 14
 		this.offset = (offset || 0) * -1000
 		this.soundOffset = 0
 		this.beatInfo = {
@@ -53,6 +56,7 @@ class ParseOsu{
 		}
 		this.events = []
 		this.generalInfo = this.parseGeneralInfo()
+		this.mode = parseInt(this.generalInfo.Mode) || 0
 		this.metadata = this.parseMetadata()
 		this.editor = this.parseEditor()
 		this.difficulty = this.parseDifficulty()
@@ -126,8 +130,10 @@ class ParseOsu{
 				this.beatInfo.bpm = Math.floor(1000 / this.beatInfo.beatInterval * 60)
 			}
 			var beatReset = false
+			var velocityPercent = 100
 			if(msOrPercent < 0){
 				var sliderMultiplier = this.difficulty.lastMultiplier / Math.abs(msOrPercent / 100)
+				velocityPercent = -msOrPercent
 			}else{
 				var sliderMultiplier = 1000 / msOrPercent
 				if(i == 0){
@@ -142,6 +148,7 @@ class ParseOsu{
 				measure: parseInt(values[this.osu.METER]),
 				gogoTime: parseInt(values[this.osu.KIAIMODE]),
 				beatMS: 1000 / this.difficulty.lastMultiplier,
+				velocityPercent: velocityPercent,
 				beatReset: beatReset
 			})
 		}
@@ -244,6 +251,20 @@ class ParseOsu{
 		}
 		return mid
 	}
+	noteType(hitSound){
+		if(hitSound & this.osu.FINISH){
+			if(hitSound & this.osu.WHISTLE || hitSound & this.osu.CLAP){
+				return "daiKa"
+			}else if(hitSound & this.osu.NORMAL || hitSound === this.osu.FINISH){
+				return "daiDon"
+			}
+		}else if(hitSound & this.osu.WHISTLE || hitSound & this.osu.CLAP){
+			return "ka"
+		}else if(hitSound & this.osu.NORMAL || hitSound === 0){
+			return "don"
+		}
+		return null
+	}
 	parseCircles(){
 		var circles = []
 		var circleID = 0
@@ -272,6 +293,7 @@ class ParseOsu{
 			var beatLength = speed
 			var lastMultiplier = this.difficulty.lastMultiplier
 			var beatMS = this.beatInfo.beatInterval
+			var velocityPercent = 100
 			if(circleID === 1 && start + this.offset < 0){
 				var offset = start + this.offset
 				this.soundOffset = offset
@@ -286,6 +308,7 @@ class ParseOsu{
 				speed = timingPoint.sliderMultiplier
 				gogoTime = timingPoint.gogoTime
 				beatMS = timingPoint.beatMS
+				velocityPercent = timingPoint.velocityPercent
 			}
 			
 			if(osuType & this.osu.SPINNER){
@@ -307,24 +330,69 @@ class ParseOsu{
 				
 			}else if(osuType & this.osu.SLIDER){
 				
+				// Same rules as the osu!stable taiko converter: short sliders become
+				// streams of hits, everything else becomes a drumroll
 				var extras = values.slice(this.osu.EXTRAS)
+				var spans = parseInt(extras[this.osu.REPEAT]) || 1
+				var distance = parseFloat(extras[this.osu.PIXELLENGTH]) * spans * 1.4 || 0
+				var tickRate = parseFloat(this.difficulty.sliderTickRate) || 1
+				var taikoVelocity = 100 * parseFloat(this.difficulty.sliderMultiplier) * 1.4
+				var maxPercent = this.mode === 1 ? 10000 : 1000
+				var beatLength = beatMS * Math.min(Math.max(velocityPercent, 10), maxPercent) / 100
+				var duration = Math.floor(distance / taikoVelocity * beatLength)
+				var osuVelocity = taikoVelocity * 1000 / beatLength
+				if(this.version >= 8){
+					beatLength = beatMS
+				}
+				var tickSpacing = Math.min(beatLength / tickRate, duration / spans)
 				
-				var distance = parseFloat(extras[this.osu.PIXELLENGTH]) * parseFloat(extras[this.osu.REPEAT])
-				var velocity = this.difficulty.sliderMultiplier * speed / 10
-				var endTime = start + distance / velocity
-				
-				if(hitSound & this.osu.FINISH){
-					type = "daiDrumroll"
-					txt = strings.note.daiDrumroll
+				if(this.mode !== 1 && tickSpacing > 0 && distance / osuVelocity * 1000 < 2 * beatLength){
+					var edgeSounds = extras[this.osu.EDGEHITSOUNDS] ? extras[this.osu.EDGEHITSOUNDS].split("|").map(sound => parseInt(sound) || 0) : [hitSound]
+					var edge = 0
+					var firstHit = true
+					for(var ms = start; ms <= start + duration + tickSpacing / 8; ms += tickSpacing){
+						var type = this.noteType(edgeSounds[edge])
+						edge = (edge + 1) % edgeSounds.length
+						if(type){
+							if(!firstHit){
+								circleID++
+							}
+							firstHit = false
+							pushCircle(new Circle({
+								id: circleID,
+								start: ms + this.offset,
+								type: type,
+								txt: strings.note[type],
+								speed: speed,
+								gogoTime: gogoTime,
+								beatMS: beatMS
+							}))
+						}
+					}
 				}else{
-					type = "drumroll"
-					txt = strings.note.drumroll
+					var type = hitSound & this.osu.FINISH ? "daiDrumroll" : "drumroll"
+					pushCircle(new Circle({
+						id: circleID,
+						start: start + this.offset,
+						type: type,
+						txt: strings.note[type],
+						speed: speed,
+						endTime: start + duration + this.offset,
+						gogoTime: gogoTime,
+						beatMS: beatMS
+					}))
 				}
+				
+			}else if(osuType & this.osu.HOLD){
+				
+				// osu!mania hold notes
+				var endTime = parseInt(values[this.osu.ENDTIME].split(":")[0])
+				var type = hitSound & this.osu.FINISH ? "daiDrumroll" : "drumroll"
 				pushCircle(new Circle({
 					id: circleID,
 					start: start + this.offset,
 					type: type,
-					txt: txt,
+					txt: strings.note[type],
 					speed: speed,
 					endTime: endTime + this.offset,
 					gogoTime: gogoTime,
@@ -332,38 +400,19 @@ class ParseOsu{
 				}))
 				
 			}else if(osuType & this.osu.CIRCLE){
-				var type
-				var txt
-				
-				if(hitSound & this.osu.FINISH){
-					if(hitSound & this.osu.WHISTLE || hitSound & this.osu.CLAP){
-						type = "daiKa"
-						txt = strings.note.daiKa
-					}else if(hitSound & this.osu.NORMAL || hitSound === this.osu.FINISH){
-						type = "daiDon"
-						txt = strings.note.daiDon
-					}else{
-						emptyValue = true
-					}
-				}else if(hitSound & this.osu.WHISTLE || hitSound & this.osu.CLAP){
-					type = "ka"
-					txt = strings.note.ka
-				}else if(hitSound & this.osu.NORMAL || hitSound === 0){
-					type = "don"
-					txt = strings.note.don
-				}else{
-					emptyValue = true
-				}
-				if(!emptyValue){
+				var type = this.noteType(hitSound)
+				if(type){
 					pushCircle(new Circle({
 						id: circleID,
 						start: start + this.offset,
 						type: type,
-						txt: txt,
+						txt: strings.note[type],
 						speed: speed,
 						gogoTime: gogoTime,
 						beatMS: beatMS
 					}))
+				}else{
+					emptyValue = true
 				}
 			}else{
 				emptyValue = true
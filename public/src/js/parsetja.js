@@ -2,9 +2,10 @@
 	constructor(...args){
 		this.init(...args)
 	}
-	init(file, difficulty, stars, offset, metaOnly){
+	init(file, difficulty, stars, offset, metaOnly, player){
 		this.data = []
-		for(let line of file){
+		this.lines = []
+		for(let [lineNum, line] of file.entries()){
 			var indexComment = line.indexOf("//")
 			if(indexComment !== -1 && !line.trim().toLowerCase().startsWith("maker:")){
 				line = line.slice(0, indexComment).trim()
@@ -13,11 +14,13 @@
 			}
 			if(line !== ""){
 				this.data.push(line)
+				this.lines.push(lineNum + 1)
 			}
 		}
 		this.difficulty = difficulty
 		this.stars = stars
 		this.offset = (offset || 0) * -1000
+		this.player = player || 0
 		this.soundOffset = 0
 		this.noteTypes = {
 			"0": {name: false, txt: false},
@@ -31,7 +34,10 @@
 			"8": {name: false, txt: false},
 			"9": {name: "balloon", txt: strings.note.balloon},
 			"A": {name: "daiDon", txt: strings.note.daiDon},
-			"B": {name: "daiKa", txt: strings.note.daiKa}
+			"B": {name: "daiKa", txt: strings.note.daiKa},
+			"C": {name: "bomb", txt: strings.note.bomb},
+			"F": {name: "adlib", txt: false},
+			"G": {name: "kadon", txt: strings.note.kadon}
 		}
 		this.noteTypes_ex = strings.ex_note;
 		this.courseTypes = {
@@ -40,8 +46,16 @@
 			"2": "hard",
 			"3": "oni",
 			"4": "ura",
+			"6": "dan",
 			"edit": "ura"
 		}
+		this.examTypes = ["g", "jp", "jg", "jb", "s", "r", "h", "c"]
+		this.branchBalloons = {
+			"normal": "balloonnor",
+			"advanced": "balloonexp",
+			"master": "balloonmas"
+		}
+		this.commands = ["start", "end", "gogostart", "gogoend", "bpmchange", "scroll", "direction", "sudden", "measure", "delay", "barlineon", "barlineoff", "branchstart", "branchend", "section", "n", "e", "m", "lyric", "nextsong", "bmscroll", "hbscroll"]
 		
 		this.metadata = this.parseMetadata()
 		this.measures = []
@@ -58,16 +72,39 @@
 		var courses = {}
 		var currentCourse = {}
 		var courseName = "oni"
+		var currentSide = null
+		var mainBlock = false
 		for(var lineNum = 0; lineNum < this.data.length; lineNum++){
 			var line = this.data[lineNum]
 			
 			if(line.slice(0, 1) === "#"){
 				
-				var name = line.slice(1).toLowerCase()
-				if((name === "start" || name === "start p1") && !inSong){
+				var name = line.slice(1).toLowerCase().replace(/\s+/g, " ")
+				if((name === "start p1" || name === "start p2") && !inSong){
+					// STYLE:Double charts, each side is kept for two-player sessions
+					if(!(courseName in courses)){
+						courses[courseName] = {}
+					}
+					if(!courses[courseName].double){
+						courses[courseName].double = {}
+					}
+					var side = name.slice(-2)
+					if(!courses[courseName].double[side]){
+						currentSide = {}
+						for(var opt in currentCourse){
+							if(opt !== "branch"){
+								currentSide[opt] = currentCourse[opt]
+							}
+						}
+						currentSide.start = lineNum + 1
+						currentSide.end = this.data.length
+						courses[courseName].double[side] = currentSide
+					}
+				}
+				if((name === "start" || name === "start p1" || name === "start p2") && !inSong){
 					
 					inSong = true
-					if(!hasSong || name === "start" && courses[courseName] && courses[courseName].startName !== "start"){
+					if(name !== "start p2" && (!hasSong || name === "start" && courses[courseName] && courses[courseName].startName !== "start")){
 						hasSong = false
 						if(!(courseName in courses)){
 							courses[courseName] = {}
@@ -80,17 +117,37 @@
 						}
 						courses[courseName].start = lineNum + 1
 						courses[courseName].end = this.data.length
+						mainBlock = true
 					}
 				}else if(name === "end" && inSong){
 					inSong = false
-					if(!hasSong){
+					if(currentSide){
+						currentSide.end = lineNum
+						currentSide = null
+					}
+					if(mainBlock){
 						hasSong = true
+						mainBlock = false
 						courses[courseName].end = lineNum
 					}
 				}else if(name.startsWith("branchstart") && inSong){
 					courses[courseName].branch = true
+					if(currentSide){
+						currentSide.branch = true
+					}
 				}else if(name.startsWith("lyric") && inSong){
 					courses[courseName].inlineLyrics = true
+				}else if(name.startsWith("nextsong") && mainBlock){
+					if(!courses[courseName].nextSongs){
+						courses[courseName].nextSongs = []
+					}
+					courses[courseName].nextSongs.push(this.parseNextSong(line.slice(9)))
+				}else if(name === "bmscroll" || name === "hbscroll"){
+					if(inSong){
+						courses[courseName].scrollMode = name
+					}else{
+						currentCourse.scrollMode = name
+					}
 				}
 				
 			}else if(!inSong){
@@ -109,13 +166,21 @@
 							courseName = value
 						}
 						hasSong = false
-					}else if(name === "balloon"){
+					}else if(name === "balloon" || name === "balloonnor" || name === "balloonexp" || name === "balloonmas"){
 						value = value ? value.split(",").map(digit => parseInt(digit)) : []
 					}else if(this.inArray(name, metaNumbers)){
 						value = parseFloat(value)
 					}
 					else if (name === "scoreinit") {
 						value = value ? parseFloat(value.split(",")[0]) : 0; 
+					}else if(/^exam\d+$/.test(name)){
+						value = this.parseExam(value)
+					}else if(name.startsWith("subtitle") && (value.startsWith("--") || value.startsWith("++"))){
+						// "++" subtitles are also shown while playing, "--" ones only on the song select
+						if(name === "subtitle"){
+							currentCourse.subtitleshow = value.startsWith("++")
+						}
+						value = value.slice(2).trim()
 					}
 
 					currentCourse[name] = value
@@ -123,8 +188,193 @@
 				
 			}
 		}
+		for(var courseName in courses){
+			this.addTitleLang(courses[courseName])
+		}
 		return courses
 	}
+	addTitleLang(meta){
+		// TITLEJA, TITLEEN, SUBTITLECN... in the title_lang format used by the song select, TITLEZH is read as Chinese
+		var titleLang = {}
+		var subtitleLang = {}
+		for(var id in allStrings){
+			var title = meta["title" + id] || id === "cn" && meta.titlezh
+			if(title){
+				titleLang[id] = title
+			}
+			var subtitle = meta["subtitle" + id] || id === "cn" && meta.subtitlezh
+			if(subtitle){
+				subtitleLang[id] = subtitle
+			}
+		}
+		if(Object.keys(titleLang).length){
+			meta.title_lang = titleLang
+		}
+		if(Object.keys(subtitleLang).length){
+			meta.subtitle_lang = subtitleLang
+		}
+	}
+	validate(){
+		// Lints the whole file without building the chart, lines are numbered as in the original file
+		var diagnostics = []
+		var add = (lineNum, command, severity, type, values) => {
+			diagnostics.push({
+				line: this.lines[lineNum],
+				command: command,
+				severity: severity,
+				type: type,
+				values: values || []
+			})
+		}
+		var inSong = false
+		var startLine = null
+		var balloons = {}
+		var balloonNotes = {}
+		var inBranch = null
+		var branchName = null
+		var inDrumroll = false
+		var measureLine = null
+		var endBlock = () => {
+			if(measureLine !== null){
+				add(measureLine, null, "warning", "noComma")
+			}
+			if(inBranch !== null){
+				add(inBranch, "BRANCHSTART", "warning", "noBranchEnd")
+			}
+			// BALLOON is consumed in chart order, BALLOONNOR/EXP/MAS also count the notes outside of branches
+			var branchLists = Object.values(this.branchBalloons).filter(header => header in balloons)
+			var checkLists = branchLists.length ? branchLists : ["balloon"]
+			checkLists.forEach(header => {
+				if(header === "balloon"){
+					var count = Object.values(balloonNotes).reduce((a, b) => a + b, 0)
+				}else{
+					var count = (balloonNotes.common || 0) + (balloonNotes[header] || 0)
+				}
+				var values = balloons[header] || []
+				if(count !== values.length){
+					add(startLine, header.toUpperCase(), "warning", "balloonCount", [values.length, count])
+				}
+			})
+		}
+		for(var lineNum = 0; lineNum < this.data.length; lineNum++){
+			var line = this.data[lineNum]
+			if(line.slice(0, 1) === "#"){
+				var [name, value] = this.split(line.slice(1).trim(), " ")
+				var command = name.toUpperCase()
+				name = name.toLowerCase()
+				if(name === "start"){
+					if(inSong){
+						add(lineNum, command, "error", "noEnd")
+						endBlock()
+					}
+					inSong = true
+					startLine = lineNum
+					balloonNotes = {}
+					inBranch = null
+					branchName = null
+					inDrumroll = false
+					measureLine = null
+				}else if(!inSong){
+					continue
+				}else if(name === "end"){
+					endBlock()
+					inSong = false
+				}else if(!this.inArray(name, this.commands)){
+					add(lineNum, command, "warning", "unknownCommand")
+				}else if(name === "branchstart" || name === "n" || name === "e" || name === "m"){
+					if(measureLine !== null){
+						add(measureLine, null, "warning", "noComma")
+						measureLine = null
+					}
+					if(name === "branchstart"){
+						inBranch = lineNum
+						branchName = null
+					}else if(inBranch === null){
+						add(lineNum, command, "warning", "noBranchStart")
+					}else{
+						branchName = name === "m" ? "master" : (name === "e" ? "advanced" : "normal")
+					}
+				}else if(name === "branchend"){
+					if(inBranch === null){
+						add(lineNum, command, "error", "noBranchStart")
+					}
+					inBranch = null
+					branchName = null
+				}
+			}else if(inSong){
+				for(var symbol of line.toUpperCase()){
+					if(symbol === ","){
+						measureLine = null
+						continue
+					}
+					if(measureLine === null){
+						measureLine = lineNum
+					}
+					if(symbol === "5" || symbol === "6" || symbol === "7" || symbol === "9"){
+						if(!inDrumroll){
+							inDrumroll = true
+							if(symbol === "7" || symbol === "9"){
+								var key = branchName ? this.branchBalloons[branchName] : "common"
+								balloonNotes[key] = (balloonNotes[key] || 0) + 1
+							}
+						}else if(symbol === "9"){
+							inDrumroll = false
+						}
+					}else if(symbol === "8"){
+						inDrumroll = false
+					}
+				}
+			}else if(line.indexOf(":") > 0){
+				var [name, value] = this.split(line, ":")
+				name = name.trim().toLowerCase()
+				if(name === "balloon" || this.inArray(name, Object.values(this.branchBalloons))){
+					balloons[name] = value.split(",").filter(digit => digit.trim())
+				}
+			}
+		}
+		if(inSong){
+			add(startLine, "START", "error", "noEnd")
+			endBlock()
+		}
+		diagnostics.sort((a, b) => a.line - b.line)
+		this.diagnostics = diagnostics
+		return diagnostics
+	}
+	exportLyrics(){
+		// Inline #LYRIC lines as a WebVTT file, branched lyrics are taken from the normal branch
+		if(!this.lyrics){
+			for(var courseName in this.metadata){
+				if(this.metadata[courseName].inlineLyrics){
+					this.parseCircles(courseName, true)
+					break
+				}
+			}
+		}
+		if(!this.lyrics){
+			return null
+		}
+		var formatTime = ms => {
+			// Cues before the music starts are moved to its start, WebVTT has no negative timestamps
+			ms = Math.round(Math.max(0, ms))
+			var h = Math.floor(ms / 3600000)
+			var m = Math.floor(ms / 60000) % 60
+			var s = (ms % 60000) / 1000
+			return [h, m].map(value => value.toString().padStart(2, "0")).join(":") + ":" + s.toFixed(3).padStart(6, "0")
+		}
+		var output = ["WEBVTT"]
+		var lastText = null
+		this.lyrics.forEach(line => {
+			if(line.branch && line.branch !== "normal"){
+				return
+			}
+			var text = line.copy ? lastText : line.text
+			lastText = text
+			if(text && line.end > 0){
+				output.push(formatTime(line.start) + " --> " + formatTime(line.end) + "\n" + text.replace(/\n+/g, "\n"))
+			}
+		})
+		return output.join("\n\n") + "\n"
+	}
 	inArray(string, array){
 		return array.indexOf(string) >= 0
 	}
@@ -135,11 +385,74 @@
 		}
 		return [string.slice(0, index), string.slice(index + delimiter.length)]
 	}
+	parseScroll(value){
+		// Accepts TJAPlayer3 style complex values such as "-1.5", "1+2i" or "-i"
+		value = value.replace(/\s/g, "").toLowerCase()
+		if(!value.endsWith("i")){
+			return {
+				real: parseFloat(value) || 0,
+				imaginary: 0
+			}
+		}
+		var index = Math.max(value.lastIndexOf("+"), value.lastIndexOf("-"))
+		var imaginary = value.slice(index > 0 ? index : 0, -1)
+		if(imaginary === "" || imaginary === "+"){
+			imaginary = 1
+		}else if(imaginary === "-"){
+			imaginary = -1
+		}
+		return {
+			real: index > 0 ? parseFloat(value.slice(0, index)) || 0 : 0,
+			imaginary: parseFloat(imaginary) || 0
+		}
+	}
+	parseExam(value){
+		// EXAM1:g,98,100,m - type, pass requirement, gold requirement, m(ore) or l(ess)
+		var [type, pass, gold, range] = value.split(",").map(item => item.trim().toLowerCase())
+		if(!this.inArray(type, this.examTypes)){
+			return null
+		}
+		pass = parseFloat(pass) || 0
+		return {
+			type: type,
+			pass: pass,
+			gold: gold ? parseFloat(gold) || 0 : pass,
+			range: range === "l" ? "less" : "more"
+		}
+	}
+	parseNextSong(value){
+		// #NEXTSONG title,subtitle,genre,wave,scoreinit,scorediff,level,course,offset
+		// The optional offset delays the music after the chart of the song starts, in seconds
+		var [title, subtitle, genre, wave, scoreinit, scorediff, level, course, offset] = value.split(",").map(item => item.trim())
+		subtitle = subtitle || ""
+		if(subtitle.startsWith("--") || subtitle.startsWith("++")){
+			subtitle = subtitle.slice(2).trim()
+		}
+		course = (course || "").toLowerCase()
+		return {
+			title: title || "",
+			subtitle: subtitle,
+			genre: genre || "",
+			wave: wave || "",
+			scoreinit: parseFloat(scoreinit) || 0,
+			scorediff: parseFloat(scorediff) || 0,
+			level: parseFloat(level) || 0,
+			course: this.courseTypes[course] || course || "oni",
+			offset: parseFloat(offset) || 0
+		}
+	}
 	parseCircles(difficulty, lyricsOnly){
 		var meta = this.metadata[difficulty] || {}
+		if(this.player && meta.double && meta.double["p" + this.player]){
+			meta = meta.double["p" + this.player]
+		}
 		var ms = (meta.offset || 0) * -1000 + this.offset
 		var bpm = Math.abs(meta.bpm) || 120
+		var beat = 0
 		var scroll = 1
+		var scrollY = 0
+		var direction = 0
+		var sudden = false
 		var measure = 4
 		if(!lyricsOnly){
 			this.beatInfo.beatInterval = 60000 / bpm
@@ -149,6 +462,15 @@
 		
 		var balloonID = 0
 		var balloons = meta.balloon || []
+		var branchBalloons = {}
+		var branchBalloonIDs = {}
+		for(var id in this.branchBalloons){
+			if(meta[this.branchBalloons[id]]){
+				branchBalloons[id] = meta[this.branchBalloons[id]]
+			}
+			branchBalloonIDs[id] = 0
+		}
+		var hasBranchBalloons = Object.keys(branchBalloons).length !== 0
 		
 		var lastDrumroll = false
 		
@@ -167,6 +489,8 @@
 		var lyricsCopy = false
 		
 		var measures = []
+		var beatTimeline = []
+		var danSongs = []
 		var currentMeasure = []
 		var firstNote = true
 		var circles = []
@@ -205,14 +529,31 @@
 			var note = currentMeasure[0]
 			if(note){
 				var speed = note.bpm * note.scroll / 60
+				var speedY = note.bpm * note.scrollY / 60
+				var measureScroll = note.scroll
+				var measureScrollY = note.scrollY
+				var measureDirection = note.direction
+				var measureSudden = note.sudden
 			}else{
 				var speed = bpm * scroll / 60
+				var speedY = bpm * scrollY / 60
+				var measureScroll = scroll
+				var measureScrollY = scrollY
+				var measureDirection = direction
+				var measureSudden = sudden
 			}
 			if(!lyricsOnly){
 				measures.push({
 					ms: ms,
 					originalMS: ms,
+					beat: beat,
 					speed: speed,
+					speedY: speedY,
+					scroll: measureScroll,
+					scrollY: measureScrollY,
+					direction: measureDirection,
+					suddenAppear: measureSudden ? measureSudden.appear : 0,
+					suddenMove: measureSudden ? measureSudden.move : 0,
 					visible: barLine,
 					branch: currentBranch,
 					branchFirst: branchFirstMeasure
@@ -230,12 +571,16 @@
 						}
 					}
 					note.start = ms
+					note.beat = beat
 					if(note.endDrumroll){
 						note.endDrumroll.endTime = ms
 						note.endDrumroll.originalEndTime = ms
+						note.endDrumroll.endBeat = beat
 					}
-					var msPerMeasure = 60000 * measure / note.bpm
+					insertTimingPoint(note.bpm)
+					var msPerMeasure = 60000 * measure / Math.abs(note.bpm)
 					ms += msPerMeasure / currentMeasure.length
+					beat += measure / currentMeasure.length * Math.sign(note.bpm)
 				}
 				var note_chain = [];
 				for (var i = 0; i < currentMeasure.length; i++){
@@ -245,15 +590,23 @@
 						var circleObj = new Circle({
 							id: circleID,
 							start: note.start,
+							beat: note.beat,
+							endBeat: note.endBeat,
+							scroll: note.scroll,
+							scrollY: note.scrollY,
 							type: note.type,
 							txt: note.txt,
 							speed: note.bpm * note.scroll / 60,
+							speedY: note.bpm * note.scrollY / 60,
 							gogoTime: note.gogo,
 							endTime: note.endTime,
 							requiredHits: note.requiredHits,
-							beatMS: 60000 / note.bpm,
+							beatMS: 60000 / Math.abs(note.bpm),
 							branch: currentBranch,
-							section: note.section
+							section: note.section,
+							direction: note.direction,
+							suddenAppear: note.sudden ? note.sudden.appear : 0,
+							suddenMove: note.sudden ? note.sudden.move : 0
 						})
 						if(note.type){
 							if(note.type === "don" || note.type === "ka" || note.type === "daiDon" || note.type === "daiKa"){
@@ -314,8 +667,25 @@
 					checkChain(note_chain, currentMeasure.length, false)
 				}
 			}else{
-				var msPerMeasure = 60000 * measure / bpm
+				insertTimingPoint(bpm)
+				var msPerMeasure = 60000 * measure / Math.abs(bpm)
 				ms += msPerMeasure
+				beat += measure * Math.sign(bpm)
+			}
+		}
+		var insertTimingPoint = (pointBpm, force) => {
+			if(lyricsOnly){
+				return
+			}
+			var lastPoint = beatTimeline[beatTimeline.length - 1]
+			if(force || !lastPoint || lastPoint.bpm !== pointBpm || lastPoint.branch !== currentBranch){
+				beatTimeline.push({
+					ms: ms,
+					originalMS: ms,
+					beat: beat,
+					bpm: pointBpm,
+					branch: currentBranch
+				})
 			}
 		}
 		var insertNote = circleObj => {
@@ -325,6 +695,9 @@
 					lastBpm = bpm
 					lastGogo = gogo
 				}
+				circleObj.scrollY = scrollY
+				circleObj.direction = direction
+				circleObj.sudden = sudden
 				if(lyricsLine !== null){
 					circleObj.lyricsLine = lyricsLine
 					lyricsLine = null
@@ -346,7 +719,10 @@
 			}else if(!circleObj){
 				var circleObj2 = {
 					bpm: bpm,
-					scroll: scroll
+					scroll: scroll,
+					scrollY: scrollY,
+					direction: direction,
+					sudden: sudden
 				}
 				if(lyricsLine !== null){
 					circleObj2.lyricsLine = lyricsLine
@@ -397,14 +773,37 @@
 						bpm = parseFloat(value) || bpm
 						break
 					case "scroll":
-						scroll = Math.abs(parseFloat(value)) || scroll
+						var complexScroll = this.parseScroll(value)
+						if(complexScroll.real || complexScroll.imaginary){
+							scroll = complexScroll.real
+							scrollY = complexScroll.imaginary
+						}
+						break
+					case "direction":
+						direction = parseInt(value) || 0
+						if(direction < 0 || direction > 7){
+							direction = 0
+						}
+						break
+					case "sudden":
+						var [appear, move] = value.trim().split(/\s+/).map(digit => parseFloat(digit) * 1000)
+						if(appear > 0){
+							sudden = {
+								appear: appear,
+								move: Math.min(appear, Math.max(0, move || 0))
+							}
+						}else{
+							sudden = false
+						}
 						break
 					case "measure":
 						var [numerator, denominator] = value.split("/")
 						measure = numerator / denominator * 4 || measure
 						break
 					case "delay":
+						insertTimingPoint(0, true)
 						ms += (parseFloat(value) || 0) * 1000
+						insertTimingPoint(bpm, true)
 						break
 					case "barlineon":
 						barLine = true
@@ -418,9 +817,13 @@
 						branchFirstMeasure = true
 						branchSettings = {
 							ms: ms,
+							beat: beat,
 							gogo: gogo,
 							bpm: bpm,
 							scroll: scroll,
+							scrollY: scrollY,
+							direction: direction,
+							sudden: sudden,
 							sectionBegin: sectionBegin,
 							lyricsCopy: !!lyrics
 						}
@@ -443,11 +846,12 @@
 						}else{
 							var active = req.master > 0 ? "advanced" : "master"
 						}
+						var branchType = value[0].trim().toLowerCase()
 						branchObj = {
 							ms: ms,
 							originalMS: ms,
 							active: active,
-							type: value[0].trim().toLowerCase() === "r" ? "drumroll" : "accuracy",
+							type: branchType === "r" ? "drumroll" : (branchType === "s" ? "score" : "accuracy"),
 							requirement: req
 						}
 						branches.push(branchObj)
@@ -493,9 +897,13 @@
 							lyricsIndex = null
 						}
 						ms = branchSettings.ms
+						beat = branchSettings.beat
 						gogo = branchSettings.gogo
 						bpm = branchSettings.bpm
 						scroll = branchSettings.scroll
+						scrollY = branchSettings.scrollY
+						direction = branchSettings.direction
+						sudden = branchSettings.sudden
 						sectionBegin = branchSettings.sectionBegin
 						lyricsCopy = branchSettings.lyricsCopy
 						branchFirstMeasure = true
@@ -509,56 +917,25 @@
 					case "lyric":
 						lyricsLine = value.replace(regexLinebreak, "\n").trim()
 						break
+					case "nextsong":
+						var nextSong = this.parseNextSong(value)
+						nextSong.ms = ms
+						danSongs.push(nextSong)
+						break
 				}
 				
 			}else{
 				
 				var string = line.toUpperCase().split("")
 
-				const abekobe = localStorage.getItem("abekobe") ?? "false";
-				const detarame = parseFloat(localStorage.getItem("detarame") ?? "0", 10);
-
 				for(let symbol of string){
-
-					if (abekobe === "true") {
-						if (symbol === "1") {
-							symbol = "2";
-						} else if (symbol === "2") {
-							symbol = "1";
-						} else if (symbol === "3") {
-							symbol = "4";
-						} else if (symbol === "4") {
-							symbol = "3";
-						} else if (symbol === "A") {
-							symbol = "B";
-						} else if (symbol === "B") {
-							symbol - "A";
-						}
-					}
-
-					if (detarame > 0) {
-						const randomValue = Math.random() * 100;
-						if (randomValue < detarame) {
-
-							const first = ["1", "2"];
-							const second = ["3", "4", "A", "B"];
-							if (first.includes(symbol)) {
-								const firstIndex = Math.floor(Math.random() * first.length);
-								symbol = first[firstIndex];
-							} else if (second.includes(symbol)) {
-								const secondIndex = Math.floor(Math.random() * second.length);
-								symbol = second[secondIndex];
-							}
-						}
-					}
-
 					var error = false
 					switch(symbol){
 						
 						case "0":
 							insertBlankNote()
 							break
-						case "1": case "2": case "3": case "4": case "A": case "B":
+						case "1": case "2": case "3": case "4": case "A": case "B": case "C": case "F": case "G":
 							var type = this.noteTypes[symbol]
 							var circleObj = {
 								type: type.name,
@@ -603,7 +980,19 @@
 								break
 							}
 							if(symbol === "7" || symbol === "9"){
-								var hits = balloons[balloonID]
+								if(!hasBranchBalloons){
+									var hits = balloons[balloonID]
+								}else if(currentBranch){
+									var branchName = currentBranch.name
+									var hits = (branchBalloons[branchName] || balloons)[branchBalloonIDs[branchName]]
+									branchBalloonIDs[branchName]++
+								}else{
+									// Notes outside of branches take their hits from every per-branch list
+									var hits = (branchBalloons.normal || balloons)[branchBalloonIDs.normal]
+									for(var id in branchBalloonIDs){
+										branchBalloonIDs[id]++
+									}
+								}
 								if(!hits || hits < 1){
 									hits = 1
 								}
@@ -654,6 +1043,7 @@
 		if(lastDrumroll){
 			lastDrumroll.endTime = ms
 			lastDrumroll.originalEndTime = ms
+			lastDrumroll.endBeat = beat
 		}
 		if(lyricsLine !== null){
 			insertLyrics({
@@ -667,11 +1057,23 @@
 			if(branches){
 				circles.sort((a, b) => a.ms > b.ms ? 1 : -1)
 				measures.sort((a, b) => a.ms > b.ms ? 1 : -1)
+				beatTimeline.sort((a, b) => a.ms > b.ms ? 1 : -1)
 				circles.forEach((circle, i) => circle.id = i + 1)
 			}
 			this.measures = measures
+			this.beatTimeline = beatTimeline
+			this.scrollMode = meta.scrollMode || false
 			this.events = events
 			this.branches = branches
+			if(danSongs.length){
+				// The first song starts with the chart, later songs start where their #NEXTSONG is placed
+				danSongs[0].musicStart = null
+				for(var i = 1; i < danSongs.length; i++){
+					danSongs[i].musicStart = danSongs[i].ms + danSongs[i].offset * 1000
+				}
+				this.danSongs = danSongs
+			}
+			this.exams = [meta.exam1, meta.exam2, meta.exam3].filter(exam => exam)
 			this.scoreinit = meta.scoreinit
 			this.scorediff = meta.scorediff
 			if(this.scoreinit && this.scorediff){
@@ -0,0 +1,330 @@
+class Practice{
+	constructor(...args){
+		this.init(...args)
+	}
+	init(controller){
+		this.controller = controller
+		this.game = controller.game
+		var songData = controller.parsedSongData
+		this.measures = songData.measures.filter(measure => {
+			return !measure.branch || measure.branch.name === "normal"
+		}).sort((a, b) => a.ms - b.ms).filter((measure, i, array) => {
+			return i === 0 || Math.abs(measure.ms - array[i - 1].ms) > 0.01
+		})
+		if(!this.measures.length){
+			this.measures = [{ms: 0}]
+		}
+		this.sections = []
+		songData.circles.forEach(circle => {
+			if(circle.section){
+				var index = this.measureAt(circle.ms)
+				if(this.sections.indexOf(index) === -1){
+					this.sections.push(index)
+				}
+			}
+		})
+		this.sections.sort((a, b) => a - b)
+		var lastCircle = songData.circles[songData.circles.length - 1]
+		this.songEnd = lastCircle ? lastCircle.endTime : 0
+
+		var saved = controller.selectedSong.practice
+		if(typeof saved !== "object" || saved.measures !== this.measures.length){
+			saved = {
+				measures: this.measures.length,
+				start: 0,
+				end: this.measures.length - 1,
+				speed: 1
+			}
+			controller.selectedSong.practice = saved
+		}
+		this.saved = saved
+		this.originalAsset = this.game.mainAsset
+		this.loops = 0
+
+		this.div = document.createElement("div")
+		this.div.id = "practice"
+		this.div.classList.add("game-panel")
+		this.div.innerHTML = assets.pages["practice"]
+		document.getElementById("game").appendChild(this.div)
+
+		this.titleDiv = this.byClass("title")
+		this.minimiseDiv = this.byClass("minimise")
+		this.sectionHideDiv = this.byClass("section-hide")
+		this.sectionSelect = this.byClass("section-select").getElementsByTagName("select")[0]
+		this.startDiv = this.byClass("start-measure")
+		this.endDiv = this.byClass("end-measure")
+		this.speedDiv = this.byClass("speed")
+		this.statusDiv = this.byClass("status")
+		this.resultsDiv = this.byClass("loop-results")
+		this.restartBtn = this.byClass("restart-btn")
+
+		this.setAltText(this.titleDiv, strings.practice.title)
+		this.byClass("section-label").innerText = strings.practice.section
+		this.byClass("start-label").innerText = strings.practice.startMeasure
+		this.byClass("end-label").innerText = strings.practice.endMeasure
+		this.byClass("speed-label").innerText = strings.practice.speed
+		this.restartBtn.innerText = strings.practice.restart
+
+		if(this.sections.length){
+			this.sectionHideDiv.style.display = "block"
+			var option = document.createElement("option")
+			option.value = ""
+			option.innerText = strings.practice.custom
+			this.sectionSelect.appendChild(option)
+			this.sections.forEach((measure, i) => {
+				var option = document.createElement("option")
+				option.value = i
+				option.innerText = strings.practice.sectionName
+					.replace("%s", i + 1)
+					.replace("%s", measure + 1)
+				this.sectionSelect.appendChild(option)
+			})
+		}
+
+		this.startSlider = new InputSlider(this.startDiv, 1, this.measures.length, 0)
+		this.startSlider.set(saved.start + 1)
+		this.startSlider.onchange(this.startChange.bind(this))
+		this.endSlider = new InputSlider(this.endDiv, 1, this.measures.length, 0)
+		this.endSlider.set(saved.end + 1)
+		this.endSlider.onchange(this.endChange.bind(this))
+		this.speedSlider = new InputSlider(this.speedDiv, 0.5, 1, 2)
+		this.speedSlider.set(1)
+		this.speedSlider.value = Math.round(saved.speed * this.speedSlider.mul)
+		this.speedSlider.update(true)
+		this.speedSlider.onchange(this.speedChange.bind(this))
+		this.updateSection()
+
+		pageEvents.add(this.minimiseDiv, ["click", "touchstart"], this.minimise.bind(this))
+		pageEvents.add(this.restartBtn, ["click", "touchstart"], this.restartClick.bind(this))
+		pageEvents.add(this.sectionSelect, "change", this.sectionChange.bind(this))
+		pageEvents.add(this.sectionSelect, "keydown", event => event.stopPropagation())
+
+		if(saved.speed !== 1){
+			this.setSpeed(saved.speed)
+		}
+	}
+	byClass(name){
+		return this.div.getElementsByClassName(name)[0]
+	}
+	setAltText(element, text){
+		element.innerText = text
+		element.setAttribute("alt", text)
+	}
+	measureAt(ms){
+		var index = 0
+		for(var i = 0; i < this.measures.length; i++){
+			if(this.measures[i].ms <= ms + 1){
+				index = i
+			}else{
+				break
+			}
+		}
+		return index
+	}
+	getLoop(){
+		var start = this.saved.start
+		var end = this.saved.end
+		var startMS = this.measures[start].ms
+		var previous = this.measures[start - 1]
+		var leadIn = previous ? startMS - previous.ms : 2000
+		leadIn = Math.min(4000, Math.max(1000, leadIn))
+		var next = this.measures[end + 1]
+		if(next){
+			var endMS = next.ms
+		}else{
+			var last = this.measures[end]
+			var before = this.measures[end - 1]
+			var endMS = Math.max(last.ms + (before ? last.ms - before.ms : 2000), this.songEnd + 100)
+		}
+		return {
+			seek: startMS - leadIn,
+			start: startMS,
+			end: endMS
+		}
+	}
+	update(){
+		var game = this.game
+		if(!this.loop){
+			this.restartLoop()
+		}else if(game.elapsedTime >= this.loop.end + game.rules.bad + this.controller.audioLatency){
+			this.addResult()
+			this.restartLoop()
+		}
+	}
+	restartLoop(){
+		var game = this.game
+		this.loop = this.getLoop()
+		game.seek(this.loop.seek, true)
+		game.combo = 0
+		game.view.updateCombo(0)
+		var score = game.getGlobalScore()
+		this.loopScore = {
+			good: score.good,
+			ok: score.ok,
+			bad: score.bad
+		}
+	}
+	addResult(){
+		var score = this.game.getGlobalScore()
+		var good = score.good - this.loopScore.good
+		var ok = score.ok - this.loopScore.ok
+		var bad = score.bad - this.loopScore.bad
+		this.loops++
+		var total = good + ok + bad
+		var accuracy = total ? ((good + ok / 2) / total * 100).toFixed(2) : "-"
+		var text = strings.practice.loopResult
+			.replace("%s", this.loops)
+			.replace("%s", accuracy)
+		text += " (" + [
+			strings.good + " " + good,
+			strings.ok + " " + ok,
+			strings.bad + " " + bad
+		].join(" / ") + ")"
+		var resultDiv = document.createElement("div")
+		resultDiv.innerText = text
+		this.resultsDiv.insertBefore(resultDiv, this.resultsDiv.firstChild)
+		while(this.resultsDiv.children.length > 20){
+			this.resultsDiv.removeChild(this.resultsDiv.lastChild)
+		}
+	}
+	startChange(value){
+		this.saved.start = value - 1
+		if(this.saved.end < this.saved.start){
+			this.saved.end = this.saved.start
+			this.endSlider.set(value)
+		}
+		this.updateSection()
+		this.newLoop()
+	}
+	endChange(value){
+		this.saved.end = value - 1
+		if(this.saved.start > this.saved.end){
+			this.saved.start = this.saved.end
+			this.startSlider.set(value)
+		}
+		this.updateSection()
+		this.newLoop()
+	}
+	sectionChange(){
+		var value = this.sectionSelect.value
+		if(value === ""){
+			return
+		}
+		var index = parseInt(value)
+		var next = this.sections[index + 1]
+		this.saved.start = this.sections[index]
+		this.saved.end = typeof next === "undefined" ? this.measures.length - 1 : Math.max(this.saved.start, next - 1)
+		this.startSlider.set(this.saved.start + 1)
+		this.endSlider.set(this.saved.end + 1)
+		this.newLoop()
+	}
+	updateSection(){
+		if(!this.sections.length){
+			return
+		}
+		var index = this.sections.indexOf(this.saved.start)
+		if(index !== -1){
+			var next = this.sections[index + 1]
+			var end = typeof next === "undefined" ? this.measures.length - 1 : Math.max(this.saved.start, next - 1)
+			if(end !== this.saved.end){
+				index = -1
+			}
+		}
+		this.sectionSelect.value = index === -1 ? "" : index
+	}
+	newLoop(){
+		this.loops = 0
+		this.resultsDiv.innerHTML = ""
+		if(this.loop){
+			this.restartLoop()
+		}
+	}
+	speedChange(value){
+		this.saved.speed = value
+		// The song is only stretched once the slider stops moving
+		clearTimeout(this.speedTimeout)
+		this.speedTimeout = setTimeout(() => this.setSpeed(value), 500)
+	}
+	setSpeed(rate){
+		this.cancelStretch()
+		if(!this.originalAsset || rate === 1){
+			this.statusDiv.innerText = ""
+			this.applySpeed(rate, this.originalAsset)
+			return
+		}
+		this.statusDiv.innerText = strings.practice.preparing
+		var job = this.pending = {
+			cancelled: false
+		}
+		this.originalAsset.stretch(rate, job).then(sound => {
+			if(this.pending === job && this.controller){
+				this.pending = null
+				this.statusDiv.innerText = ""
+				this.applySpeed(rate, sound)
+			}
+		}, () => {})
+	}
+	cancelStretch(){
+		if(this.pending){
+			this.pending.cancelled = true
+			this.pending = null
+		}
+	}
+	applySpeed(rate, sound){
+		var game = this.game
+		if(game.mainMusicPlaying){
+			game.mainMusicPlaying = false
+			game.mainAsset.stop()
+		}
+		game.playbackRate = rate
+		game.mainAsset = sound
+		if(this.loop){
+			this.newLoop()
+		}
+	}
+	restartClick(event){
+		if(event.type === "touchstart"){
+			event.preventDefault()
+		}
+		if(this.loop){
+			this.restartLoop()
+		}
+	}
+	minimise(event){
+		if(event.type === "touchstart"){
+			event.preventDefault()
+		}
+		this.div.classList.toggle("minimised")
+	}
+	clean(){
+		clearTimeout(this.speedTimeout)
+		this.cancelStretch()
+		this.startSlider.clean()
+		this.endSlider.clean()
+		this.speedSlider.clean()
+		pageEvents.remove(this.minimiseDiv, ["click", "touchstart"])
+		pageEvents.remove(this.restartBtn, ["click", "touchstart"])
+		pageEvents.remove(this.sectionSelect, ["change", "keydown"])
+		if(this.div.parentNode){
+			this.div.parentNode.removeChild(this.div)
+		}
+		delete this.startSlider
+		delete this.endSlider
+		delete this.speedSlider
+		delete this.div
+		delete this.titleDiv
+		delete this.minimiseDiv
+		delete this.sectionHideDiv
+		delete this.sectionSelect
+		delete this.startDiv
+		delete this.endDiv
+		delete this.speedDiv
+		delete this.statusDiv
+		delete this.resultsDiv
+		delete this.restartBtn
+		delete this.originalAsset
+		delete this.pending
+		delete this.controller
+		delete this.game
+	}
+}
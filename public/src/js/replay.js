@@ -0,0 +1,310 @@
+class ReplayStorage{
+	constructor(...args){
+		this.init(...args)
+	}
+	init(){
+		this.db = new IDB("taiko-replays", "replays")
+		this.version = 1
+		this.limit = 100
+		this.keys = ["don_l", "don_r", "ka_l", "ka_r"]
+		this.noteTypes = ["don", "ka", "daiDon", "daiKa"]
+	}
+	save(replay){
+		if(!replay.id){
+			replay.id = replay.date.toString(36) + Math.random().toString(36).slice(2, 6)
+		}
+		return this.db.setItem(replay.id, replay).then(() => this.prune())
+		.then(() => {
+			pageEvents.send("replay-saved", replay)
+			return replay
+		}).catch(error => {
+			console.warn("Replay could not be saved", error)
+		})
+	}
+	list(){
+		return this.db.getAll().then(replays => {
+			return (replays || []).sort((a, b) => b.date - a.date)
+		})
+	}
+	remove(id){
+		return this.db.removeItem(id)
+	}
+	prune(){
+		return this.list().then(replays => {
+			return Promise.all(replays.slice(this.limit).map(replay => this.remove(replay.id)))
+		})
+	}
+	exportReplay(replay){
+		var date = new Date(replay.date)
+		var pad = number => number.toString().padStart(2, "0")
+		var dateString = date.getFullYear() + pad(date.getMonth() + 1) + pad(date.getDate()) + "-" + pad(date.getHours()) + pad(date.getMinutes())
+		var blob = new Blob([JSON.stringify(replay)], {
+			type: "application/json"
+		})
+		var url = URL.createObjectURL(blob)
+		var link = document.createElement("a")
+		link.href = url
+		if("download" in HTMLAnchorElement.prototype){
+			link.download = replay.title + " (" + replay.difficulty + ") " + dateString + ".replay.json"
+		}else{
+			link.target = "_blank"
+		}
+		link.innerText = "."
+		link.style.opacity = "0"
+		document.body.appendChild(link)
+		setTimeout(() => {
+			link.click()
+			document.body.removeChild(link)
+			setTimeout(() => {
+				URL.revokeObjectURL(url)
+			}, 5000)
+		})
+	}
+	importReplay(text){
+		try{
+			var replay = JSON.parse(text)
+		}catch(e){
+			return Promise.reject(strings.replays.invalid)
+		}
+		if(!replay || typeof replay !== "object" || replay.version > this.version || !Array.isArray(replay.inputs) || typeof replay.date !== "number" || !replay.difficulty){
+			return Promise.reject(strings.replays.invalid)
+		}
+		delete replay.id
+		return this.save(replay)
+	}
+	getSong(replay){
+		return assets.songs.find(song => replay.hash && song.hash === replay.hash) || assets.songs.find(song => song.id == replay.folder && song.title === replay.title)
+	}
+}
+class ReplayRecorder{
+	constructor(...args){
+		this.init(...args)
+	}
+	init(controller){
+		this.controller = controller
+		this.inputs = []
+		this.judgements = []
+		this.branches = []
+		this.lastInput = 0
+		this.mods = mods.encode(controller.mods)
+		this.notes = controller.parsedSongData.circles.map(circle => {
+			return replayStorage.noteTypes.indexOf(circle.type) + 1
+		}).join("")
+	}
+	input(name, ms){
+		var key = replayStorage.keys.indexOf(name)
+		if(key === -1){
+			return
+		}
+		// Times are stored as hundredths of a millisecond after the previous input
+		var time = Math.round(ms * 100)
+		this.inputs.push(key, time - this.lastInput)
+		this.lastInput = time
+	}
+	judgement(index, score, relative){
+		this.judgements.push(index, score, typeof relative === "number" ? Math.round(relative * 100) / 100 : null)
+	}
+	branch(ms, name){
+		this.branches.push(Math.round(ms), name)
+	}
+	getReplay(){
+		var controller = this.controller
+		var selectedSong = controller.selectedSong
+		var score = controller.getGlobalScore()
+		return {
+			version: replayStorage.version,
+			date: Date.now(),
+			hash: selectedSong.hash,
+			folder: selectedSong.folder,
+			title: selectedSong.originalTitle || selectedSong.title,
+			difficulty: selectedSong.difficulty,
+			name: account.loggedIn ? account.displayName : null,
+			mods: this.mods,
+			judgement: controller.judgement,
+			latency: controller.audioLatency,
+			notes: this.notes,
+			inputs: this.inputs,
+			judgements: this.judgements,
+			branches: this.branches,
+			score: {
+				points: score.points,
+				good: score.good,
+				ok: score.ok,
+				bad: score.bad,
+				maxCombo: score.maxCombo,
+				drumroll: score.drumroll,
+				gauge: score.gauge
+			}
+		}
+	}
+	save(){
+		if(!this.inputs.length){
+			return Promise.resolve()
+		}
+		return replayStorage.save(this.getReplay())
+	}
+}
+class ReplayPlayer{
+	constructor(...args){
+		this.init(...args)
+	}
+	init(controller, replay){
+		this.controller = controller
+		this.game = controller.game
+		this.replay = replay
+		this.events = []
+		var time = 0
+		for(var i = 0; i + 1 < replay.inputs.length; i += 2){
+			time += replay.inputs[i + 1]
+			this.events.push({
+				name: replayStorage.keys[replay.inputs[i]],
+				ms: time / 100
+			})
+		}
+		this.index = 0
+		var circles = controller.parsedSongData.circles
+		if(replay.notes && replay.notes.length === circles.length){
+			// Keeps the recorded chart when random note mods were used
+			circles.forEach((circle, i) => {
+				var type = replayStorage.noteTypes[replay.notes[i] - 1]
+				if(type && replayStorage.noteTypes.indexOf(circle.type) !== -1){
+					circle.type = type
+					circle.text = strings.note[type]
+				}
+			})
+		}
+		var lastCircle = circles[circles.length - 1]
+		var lastEvent = this.events[this.events.length - 1]
+		this.duration = Math.max(lastCircle ? lastCircle.endTime : 0, lastEvent ? lastEvent.ms : 0) + 2000
+		var selectedSong = controller.selectedSong
+		this.seekTarget = selectedSong.replaySeek || 0
+		delete selectedSong.replaySeek
+
+		this.div = document.createElement("div")
+		this.div.id = "replay"
+		this.div.classList.add("game-panel")
+		this.div.innerHTML = assets.pages["replay"]
+		document.getElementById("game").appendChild(this.div)
+
+		this.titleDiv = this.byClass("title")
+		this.minimiseDiv = this.byClass("minimise")
+		this.infoDiv = this.byClass("replay-info")
+		this.seekInput = this.byClass("replay-seek")
+		this.timeDiv = this.byClass("replay-time")
+		this.exportBtn = this.byClass("export-btn")
+
+		this.setAltText(this.titleDiv, strings.replays.replay)
+		var date = new Date(replay.date)
+		this.infoDiv.innerText = [
+			replay.name,
+			date.toLocaleString(strings.id),
+			replay.score ? replay.score.points + strings.points : null
+		].filter(Boolean).join("\n")
+		this.exportBtn.innerText = strings.replays.exportReplay
+		this.seekInput.max = Math.round(this.duration)
+		this.seeking = false
+
+		pageEvents.add(this.minimiseDiv, ["click", "touchstart"], this.minimise.bind(this))
+		pageEvents.add(this.exportBtn, ["click", "touchstart"], this.exportClick.bind(this))
+		pageEvents.add(this.seekInput, "input", () => {
+			this.seeking = true
+		})
+		pageEvents.add(this.seekInput, "change", this.seekChange.bind(this))
+		pageEvents.add(this.seekInput, "keydown", event => event.stopPropagation())
+	}
+	byClass(name){
+		return this.div.getElementsByClassName(name)[0]
+	}
+	setAltText(element, text){
+		element.innerText = text
+		element.setAttribute("alt", text)
+	}
+	play(){
+		var game = this.game
+		if(this.seekTarget){
+			var target = this.seekTarget
+			this.seekTarget = 0
+			return this.fastForward(target)
+		}
+		var ms = game.elapsedTime
+		while(this.index < this.events.length && this.events[this.index].ms <= ms){
+			var event = this.events[this.index++]
+			this.controller.setKey(true, event.name, event.ms)
+			game.checkKeys()
+		}
+		this.updateTime(ms)
+	}
+	fastForward(target){
+		// Inputs are simulated frame by frame so the score ends up the same as when playing normally
+		var game = this.game
+		var ms = Math.max(0, game.elapsedTime)
+		this.controller.fastForward = true
+		while(ms < target){
+			ms = Math.min(target, ms + 1000 / 60)
+			game.elapsedTime = ms
+			game.updateCirclesStatus()
+			if(game.danSongs){
+				game.updateDanSong()
+			}
+			this.play()
+		}
+		this.controller.fastForward = false
+		game.setTime(target)
+	}
+	seek(target){
+		target = Math.max(0, Math.min(this.duration, target))
+		if(target >= this.game.elapsedTime){
+			this.fastForward(target)
+		}else{
+			this.controller.selectedSong.replaySeek = target
+			this.controller.restartSong()
+		}
+	}
+	updateTime(ms){
+		if(!this.seeking){
+			this.seekInput.value = Math.round(ms)
+		}
+		var seconds = Math.floor(Math.max(0, ms) / 1000)
+		var total = Math.floor(this.duration / 1000)
+		var text = this.formatTime(seconds) + " / " + this.formatTime(total)
+		if(this.timeDiv.innerText !== text){
+			this.timeDiv.innerText = text
+		}
+	}
+	formatTime(seconds){
+		return Math.floor(seconds / 60) + ":" + (seconds % 60).toString().padStart(2, "0")
+	}
+	seekChange(){
+		this.seeking = false
+		this.seek(parseFloat(this.seekInput.value))
+	}
+	exportClick(event){
+		if(event.type === "touchstart"){
+			event.preventDefault()
+		}
+		replayStorage.exportReplay(this.replay)
+	}
+	minimise(event){
+		if(event.type === "touchstart"){
+			event.preventDefault()
+		}
+		this.div.classList.toggle("minimised")
+	}
+	clean(){
+		pageEvents.remove(this.minimiseDiv, ["click", "touchstart"])
+		pageEvents.remove(this.exportBtn, ["click", "touchstart"])
+		pageEvents.remove(this.seekInput, ["input", "change", "keydown"])
+		if(this.div.parentNode){
+			this.div.parentNode.removeChild(this.div)
+		}
+		delete this.div
+		delete this.titleDiv
+		delete this.minimiseDiv
+		delete this.infoDiv
+		delete this.seekInput
+		delete this.timeDiv
+		delete this.exportBtn
+		delete this.controller
+		delete this.game
+	}
+}
@@ -0,0 +1,316 @@
+class ReplaysView{
+	constructor(...args){
+		this.init(...args)
+	}
+	init(touchEnabled){
+		this.touchEnabled = touchEnabled
+		this.locked = true
+		loader.changePage("replays", true)
+		if(touchEnabled){
+			this.getElement("view-outer").classList.add("touch-enabled")
+		}
+		this.setAltText(this.getElement("view-title"), strings.replays.title)
+		this.content = this.getElement("view-content")
+
+		this.importButton = document.getElementById("replays-import")
+		var importText = this.importButton.getElementsByClassName("replays-import-text")[0]
+		importText.innerText = strings.replays.importReplay
+		this.importButton.setAttribute("alt", strings.replays.importReplay)
+		this.browse = document.getElementById("replays-browse")
+		pageEvents.add(this.browse, "change", this.browseChange.bind(this))
+		this.exportButton = document.getElementById("replays-export")
+		this.setAltText(this.exportButton, strings.replays.exportReplay)
+		pageEvents.add(this.exportButton, ["mousedown", "touchstart"], this.exportClick.bind(this))
+		this.removeButton = document.getElementById("replays-remove")
+		this.setAltText(this.removeButton, strings.replays.remove)
+		pageEvents.add(this.removeButton, ["mousedown", "touchstart"], this.removeClick.bind(this))
+		this.endButton = this.getElement("view-end-button")
+		this.setAltText(this.endButton, strings.session.cancel)
+		pageEvents.add(this.endButton, ["mousedown", "touchstart"], event => this.onEnd(event))
+
+		this.keyboard = new Keyboard({
+			confirm: ["enter", "space", "don_l", "don_r"],
+			previous: ["left", "up", "ka_l"],
+			next: ["right", "down", "ka_r"],
+			backEsc: ["escape"]
+		}, this.keyPressed.bind(this))
+		this.gamepad = new Gamepad({
+			confirmPad: ["b", "ls", "rs"],
+			previous: ["u", "l", "lb", "lt", "lsu", "lsl"],
+			next: ["d", "r", "rb", "rt", "lsd", "lsr"],
+			back: ["start", "a"]
+		}, this.keyPressed.bind(this))
+
+		this.replays = []
+		this.selected = -1
+		this.load().then(() => {
+			pageEvents.send("replays")
+		})
+	}
+	getElement(name){
+		return loader.screen.getElementsByClassName(name)[0]
+	}
+	setAltText(element, text){
+		element.innerText = text
+		element.setAttribute("alt", text)
+	}
+	load(selectId){
+		this.locked = true
+		return replayStorage.list().then(replays => {
+			this.replays = replays
+			this.locked = false
+			this.render(selectId)
+		}, () => {
+			this.locked = false
+			this.render()
+		})
+	}
+	render(selectId){
+		if(!this.content){
+			return
+		}
+		var selectedItem = this.items && this.items[this.selected]
+		if(this.rows){
+			this.rows.forEach(row => pageEvents.remove(row, ["mousedown", "touchstart"]))
+		}
+		this.content.innerHTML = ""
+		this.rows = []
+		this.replaySelected = 0
+		if(this.replays.length){
+			this.replays.forEach((replay, i) => {
+				var settingBox = document.createElement("div")
+				settingBox.classList.add("setting-box")
+				var nameDiv = document.createElement("div")
+				nameDiv.classList.add("setting-name", "stroke-sub")
+				var song = replayStorage.getSong(replay)
+				var title = song ? this.getLocalTitle(song.title, song.title_lang) : replay.title
+				var diff = replay.difficulty
+				var text = title + " (" + strings[diff === "ura" ? "oni" : diff] + ")"
+				nameDiv.setAttribute("alt", text)
+				nameDiv.innerText = text
+				settingBox.appendChild(nameDiv)
+				var valueDiv = document.createElement("div")
+				valueDiv.classList.add("setting-value")
+				valueDiv.innerText = [
+					replay.score ? replay.score.points + strings.points : null,
+					new Date(replay.date).toLocaleString(strings.id)
+				].filter(Boolean).join(" ")
+				settingBox.appendChild(valueDiv)
+				pageEvents.add(settingBox, ["mousedown", "touchstart"], event => this.rowClick(event, i))
+				this.content.appendChild(settingBox)
+				this.rows.push(settingBox)
+				if(replay.id === selectId){
+					selectedItem = settingBox
+				}
+			})
+		}else{
+			this.content.innerText = strings.replays.noReplays
+		}
+		this.exportButton.style.display = this.rows.length ? "" : "none"
+		this.removeButton.style.display = this.rows.length ? "" : "none"
+		this.items = this.rows.concat([this.importButton, this.exportButton, this.removeButton, this.endButton])
+		var index = this.items.indexOf(selectedItem)
+		if(index === -1 || selectedItem.style.display === "none"){
+			index = this.rows.length ? 0 : this.items.length - 1
+		}
+		this.items.forEach(item => item.classList.remove("selected"))
+		this.selected = -1
+		this.changeSelected(index)
+	}
+	getLocalTitle(title, titleLang){
+		if(titleLang){
+			for(var id in titleLang){
+				if(id === strings.id && titleLang[id]){
+					return titleLang[id]
+				}
+			}
+		}
+		return title
+	}
+	getReplay(){
+		return this.replays[this.selected < this.rows.length ? this.selected : this.replaySelected]
+	}
+	changeSelected(index){
+		if(this.selected !== -1){
+			this.items[this.selected].classList.remove("selected")
+		}
+		this.selected = index
+		if(index < this.rows.length){
+			this.replaySelected = index
+		}
+		this.items[this.selected].classList.add("selected")
+	}
+	rowClick(event, index){
+		if(event.type === "touchstart"){
+			event.preventDefault()
+		}else if(event.which !== 1){
+			return
+		}
+		if(this.locked){
+			return
+		}
+		if(this.selected === index){
+			this.play(this.replays[index])
+		}else{
+			this.changeSelected(index)
+			assets.sounds["se_ka"].play()
+		}
+	}
+	keyPressed(pressed, name){
+		if(!pressed || this.locked){
+			return
+		}
+		var selected = this.items[this.selected]
+		if(name === "confirm" || name === "confirmPad"){
+			if(selected === this.endButton){
+				this.onEnd()
+			}else if(selected === this.importButton){
+				if(name !== "confirmPad"){
+					this.browse.click()
+				}
+			}else if(selected === this.exportButton){
+				this.exportClick()
+			}else if(selected === this.removeButton){
+				this.removeClick()
+			}else{
+				this.play(this.replays[this.selected])
+			}
+		}else if(name === "previous" || name === "next"){
+			var index = this.selected
+			do{
+				index = this.mod(this.items.length, index + (name === "next" ? 1 : -1))
+			}while(this.items[index].style.display === "none")
+			this.changeSelected(index)
+			assets.sounds["se_ka"].play()
+		}else if(name === "back" || name === "backEsc"){
+			this.onEnd()
+		}
+	}
+	mod(length, index){
+		return ((index % length) + length) % length
+	}
+	browseChange(event){
+		var file = event.target.files[0]
+		if(!file || this.locked){
+			return
+		}
+		this.locked = true
+		new LocalFile(file).read().then(text => replayStorage.importReplay(text)).then(replay => {
+			assets.sounds["se_don"].play()
+			return this.load(replay && replay.id)
+		}).catch(error => {
+			this.locked = false
+			alert(error && error.message || error)
+		}).then(() => {
+			if(this.browse){
+				this.browse.form.reset()
+			}
+		})
+	}
+	exportClick(event){
+		if(event){
+			if(event.type === "touchstart"){
+				event.preventDefault()
+			}else if(event.which !== 1){
+				return
+			}
+		}
+		var replay = this.getReplay()
+		if(this.locked || !replay){
+			return
+		}
+		assets.sounds["se_don"].play()
+		replayStorage.exportReplay(replay)
+	}
+	removeClick(event){
+		if(event){
+			if(event.type === "touchstart"){
+				event.preventDefault()
+			}else if(event.which !== 1){
+				return
+			}
+		}
+		var replay = this.getReplay()
+		if(this.locked || !replay || !confirm(strings.replays.confirmRemove)){
+			return
+		}
+		this.locked = true
+		assets.sounds["se_don"].play()
+		var index = this.replays.indexOf(replay)
+		replayStorage.remove(replay.id).then(() => {
+			var next = this.replays[index + 1] || this.replays[index - 1]
+			return this.load(next && next.id)
+		})
+	}
+	play(replay){
+		var song = replayStorage.getSong(replay)
+		if(!song || !song.courses[replay.difficulty]){
+			assets.sounds["se_cancel"].play()
+			return alert(strings.replays.songMissing)
+		}
+		this.clean()
+		assets.sounds["se_don"].play()
+		var diff = replay.difficulty
+		setTimeout(() => {
+			new LoadSong({
+				"title": this.getLocalTitle(song.title, song.title_lang),
+				"originalTitle": song.title,
+				"subtitle": song.subtitle,
+				"subtitleShow": song.subtitle_show,
+				"folder": song.id,
+				"difficulty": diff,
+				"category": song.category,
+				"category_id": song.category_id,
+				"type": song.type,
+				"offset": song.offset,
+				"songSkin": song.song_skin || {},
+				"stars": song.courses[diff].stars,
+				"hash": song.hash || song.title,
+				"lyrics": song.lyrics,
+				"video": song.video,
+				"replay": replay
+			}, false, false, this.touchEnabled)
+		}, 500)
+	}
+	onEnd(event){
+		var touched = false
+		if(event){
+			if(event.type === "touchstart"){
+				event.preventDefault()
+				touched = true
+			}else if(event.which !== 1){
+				return
+			}
+		}else{
+			touched = this.touchEnabled
+		}
+		if(this.locked){
+			return
+		}
+		this.clean()
+		assets.sounds["se_cancel"].play()
+		setTimeout(() => {
+			new SongSelect("replays", false, touched)
+		}, 500)
+	}
+	clean(){
+		this.locked = true
+		this.keyboard.clean()
+		this.gamepad.clean()
+		pageEvents.remove(this.browse, "change")
+		pageEvents.remove(this.exportButton, ["mousedown", "touchstart"])
+		pageEvents.remove(this.removeButton, ["mousedown", "touchstart"])
+		pageEvents.remove(this.endButton, ["mousedown", "touchstart"])
+		if(this.rows){
+			this.rows.forEach(row => pageEvents.remove(row, ["mousedown", "touchstart"]))
+		}
+		delete this.content
+		delete this.importButton
+		delete this.browse
+		delete this.exportButton
+		delete this.removeButton
+		delete this.endButton
+		delete this.rows
+		delete this.items
+	}
+}
@@ -19,8 +19,28 @@ class Scoresheet {
 		for (var i in results) {
 			this.results[player0][i] = results[i] === null ? null : results[i].toString()
 		}
+		this.danResult = null
+		if (!multiplayer && this.controller.game.dan) {
+			this.exams = this.controller.game.getExams()
+			this.danResult = this.controller.game.getDanResult()
+		}
 		this.multiplayer = multiplayer
 		this.touchEnabled = touchEnabled
+		this.modsText = multiplayer ? "" : mods.getText(this.controller.mods)
+		this.timing = multiplayer || this.controller.autoPlayEnabled ? null : this.getTiming(this.controller.game.deviations)
+		if (this.timing) {
+			// Kept with the result so the saved score remembers how the hits were timed
+			this.resultsObj.timing = {
+				mean: Math.round(this.timing.mean * 10) / 10,
+				stddev: Math.round(this.timing.stddev * 10) / 10,
+				early: this.timing.early,
+				late: this.timing.late
+			}
+		}
+		this.badge = !multiplayer && this.clearReached(player0) ? this.rules[player0].getBadge() : ""
+		if (!multiplayer && this.controller.judgement !== "arcade") {
+			this.modsText = [this.modsText, settings.getJudgementText(this.controller.judgement)].filter(Boolean).join(", ")
+		}
 
 		this.canvas = document.getElementById("canvas")
 		this.ctx = this.canvas.getContext("2d")
@@ -66,7 +86,8 @@ class Scoresheet {
 			"normal": 1,
 			"hard": 2,
 			"oni": 3,
-			"ura": 4
+			"ura": 4,
+			"dan": 3
 		}
 
 		this.scoreSaved = false
@@ -152,7 +173,7 @@ class Scoresheet {
 
 		pageEvents.add(this.canvas, ["mousedown", "touchstart"], this.mouseDown.bind(this))
 
-		if (!this.multiplayer) {
+		if (!this.multiplayer && !this.danResult) {
 			this.tetsuoHana = document.createElement("div")
 			this.tetsuoHana.id = "tetsuohana"
 			var flowersBg = "url('" + assets.image["results_flowers"].src + "')"
@@ -224,7 +245,7 @@ class Scoresheet {
 				this.canvasCache.resize(winW / ratio, 80 + 1, ratio)
 				this.nameplateCache.resize(274, 134, ratio + 0.2)
 
-				if (!this.multiplayer) {
+				if (this.tetsuoHana) {
 					this.tetsuoHana.style.setProperty("--scale", ratio / this.pixelRatio)
 					if (this.tetsuoHanaClass === "dance") {
 						this.tetsuoHana.classList.remove("dance", "dance2")
@@ -349,8 +370,7 @@ class Scoresheet {
 			var elapsed = 0
 		}
 
-		var rules = this.controller.game.rules
-		var failedOffset = rules.clearReached(this.results[this.player[0]].gauge) ? 0 : -2000
+		var failedOffset = this.clearReached(this.player[0]) ? 0 : -2000
 		if (players === 2 && failedOffset !== 0) {
 			var p2results = this.results[this.player[1]]
 			if (p2results && this.controller.syncWith.game.rules.clearReached(p2results.gauge)) {
@@ -364,7 +384,7 @@ class Scoresheet {
 				if (!results) {
 					continue
 				}
-				var clear = this.rules[p].clearReached(results.gauge)
+				var clear = this.clearReached(p)
 				if (p === 1 || !this.multiplayer && clear) {
 					ctx.translate(0, 290)
 				}
@@ -498,6 +518,18 @@ class Scoresheet {
 							431, 311, 34, 34
 						)
 					}
+					if (this.modsText && p === this.player[0]) {
+						ctx.font = this.draw.bold(this.font) + "18px " + this.font
+						ctx.textAlign = "center"
+						ctx.textBaseline = "top"
+						ctx.strokeStyle = "#000"
+						ctx.fillStyle = "#fff"
+						ctx.lineWidth = 6
+						ctx.miterLimit = 1
+						ctx.strokeText(this.modsText, 395, 318, 260)
+						ctx.fillText(this.modsText, 395, 318, 260)
+						ctx.miterLimit = 10
+					}
 
 					this.draw.roundedRect({
 						ctx: ctx,
@@ -613,7 +645,7 @@ class Scoresheet {
 			ctx.restore()
 		}
 
-		if (!this.multiplayer) {
+		if (this.tetsuoHana) {
 			if (elapsed >= 400 && elapsed < 3100 + failedOffset) {
 				if (this.tetsuoHanaClass !== "fadein") {
 					this.tetsuoHana.classList.add("fadein")
@@ -624,7 +656,7 @@ class Scoresheet {
 					if (this.tetsuoHanaClass) {
 						this.tetsuoHana.classList.remove(this.tetsuoHanaClass)
 					}
-					this.tetsuoHanaClass = this.rules[this.player[0]].clearReached(this.results[this.player[0]].gauge) ? "dance" : "failed"
+					this.tetsuoHanaClass = this.clearReached(this.player[0]) ? "dance" : "failed"
 					this.tetsuoHana.classList.add(this.tetsuoHanaClass)
 				}
 			}
@@ -681,7 +713,9 @@ class Scoresheet {
 					continue
 				}
 				var crownType = null
-				if (this.rules[p].clearReached(results.gauge)) {
+				if (this.danResult && p === this.player[0]) {
+					crownType = this.danResult === "fail" ? null : (this.danResult === "gold" ? "gold" : "silver")
+				} else if (this.rules[p].clearReached(results.gauge)) {
 					crownType = results.bad === "0" ? "gold" : "silver"
 				}
 				if (crownType !== null) {
@@ -727,6 +761,18 @@ class Scoresheet {
 							whiteOutline: true,
 							ratio: ratio
 						})
+						if (this.badge && p === this.player[0] && amount >= 1) {
+							ctx.font = this.draw.bold(this.font) + "20px " + this.font
+							ctx.textAlign = "center"
+							ctx.textBaseline = "middle"
+							ctx.strokeStyle = "#fff"
+							ctx.fillStyle = scoreStorage.badgeColors[this.badge]
+							ctx.lineWidth = 6
+							ctx.miterLimit = 1
+							ctx.strokeText(strings.mods.gaugeOptions[this.badge], 395, 272, 200)
+							ctx.fillText(strings.mods.gaugeOptions[this.badge], 395, 272, 200)
+							ctx.miterLimit = 10
+						}
 
 						ctx.restore()
 					})
@@ -850,6 +896,22 @@ class Scoresheet {
 			ctx.restore()
 		}
 
+		if (this.danResult && elapsed >= 3100 + failedOffset) {
+			ctx.save()
+			ctx.translate(frameLeft, frameTop)
+			ctx.globalAlpha = Math.min(1, Math.max(0, (elapsed - (3100 + failedOffset)) / 500))
+			this.drawDanResult(ctx)
+			ctx.restore()
+		}
+
+		if (this.timing && !this.danResult && elapsed >= 3100 + failedOffset) {
+			ctx.save()
+			ctx.translate(frameLeft, frameTop)
+			ctx.globalAlpha = Math.min(1, Math.max(0, (elapsed - (3100 + failedOffset)) / 500))
+			this.drawTiming(ctx)
+			ctx.restore()
+		}
+
 		if (this.session && !this.state.scoreNext && this.state.screen === "scoresShown" && ms - this.state.screenMS >= 10000) {
 			this.state.scoreNext = true
 			if (p2.session) {
@@ -880,6 +942,218 @@ class Scoresheet {
 		ctx.restore()
 	}
 
+	clearReached(p) {
+		if (this.danResult && p === this.player[0]) {
+			return this.danResult !== "fail"
+		}
+		var results = this.results[p]
+		return !!results && this.rules[p].clearReached(results.gauge)
+	}
+	drawDanResult(ctx) {
+		var statusColors = {
+			gold: "#ffd800",
+			pass: "#ff5a26",
+			fail: "#7b7b7b"
+		}
+		ctx.textBaseline = "middle"
+		this.exams.forEach((exam, i) => {
+			var y = 392 + i * 78
+			this.draw.roundedRect({
+				ctx: ctx,
+				x: 40,
+				y: y,
+				w: 820,
+				h: 66,
+				radius: 14
+			})
+			ctx.fillStyle = "rgba(0, 0, 0, 0.65)"
+			ctx.fill()
+			this.draw.layeredText({
+				ctx: ctx,
+				text: strings.exam[exam.type],
+				x: 64,
+				y: y + 33,
+				fontSize: 28,
+				fontFamily: this.font,
+				baseline: "middle",
+				width: 220
+			}, [
+				{ outline: "#000", letterBorder: 8 },
+				{ fill: "#fff" }
+			])
+			var requirement = strings.exam[exam.range].replace("%s", exam.pass)
+			if (exam.gold !== exam.pass) {
+				requirement += " (" + strings.danResult.gold + ": " + strings.exam[exam.range].replace("%s", exam.gold) + ")"
+			}
+			ctx.font = "18px " + this.font
+			ctx.fillStyle = "#ddd"
+			ctx.textAlign = "left"
+			ctx.fillText(requirement, 300, y + 33, 320)
+			this.draw.layeredText({
+				ctx: ctx,
+				text: exam.value.toString(),
+				x: 720,
+				y: y + 33,
+				fontSize: 32,
+				fontFamily: this.numbersFont,
+				baseline: "middle",
+				align: "right"
+			}, [
+				{ outline: "#000", letterBorder: 9 },
+				{ fill: "#fff" }
+			])
+			this.draw.layeredText({
+				ctx: ctx,
+				text: strings.danResult[exam.status],
+				x: 790,
+				y: y + 33,
+				fontSize: 24,
+				fontFamily: this.font,
+				baseline: "middle",
+				align: "center",
+				width: 110
+			}, [
+				{ outline: "#000", letterBorder: 8 },
+				{ fill: statusColors[exam.status] }
+			])
+		})
+		this.draw.layeredText({
+			ctx: ctx,
+			text: strings.danResult[this.danResult],
+			x: 1070,
+			y: 510,
+			fontSize: 64,
+			fontFamily: this.font,
+			baseline: "middle",
+			align: "center",
+			width: 360,
+			forceShadow: true
+		}, [
+			{ outline: "#000", letterBorder: 22 },
+			{ x: 2, y: 2, shadow: [2, 2, 7] },
+			{ fill: statusColors[this.danResult] }
+		])
+	}
+	getTiming(deviations) {
+		if (!deviations || !deviations.length) {
+			return null
+		}
+		var rules = this.rules[this.player[0]]
+		var binSize = 5
+		var binCount = Math.ceil(rules.bad / binSize)
+		var bins = Array(binCount * 2).fill(0)
+		var sum = 0
+		var early = 0
+		var late = 0
+		deviations.forEach(value => {
+			sum += value
+			if (value < 0) {
+				early++
+			} else if (value > 0) {
+				late++
+			}
+			var bin = Math.floor(value / binSize) + binCount
+			bins[Math.max(0, Math.min(bins.length - 1, bin))]++
+		})
+		var mean = sum / deviations.length
+		var variance = 0
+		deviations.forEach(value => {
+			variance += Math.pow(value - mean, 2)
+		})
+		var timing = {
+			bins: bins,
+			binSize: binSize,
+			range: binCount * binSize,
+			mean: mean,
+			stddev: Math.sqrt(variance / deviations.length),
+			early: early,
+			late: late,
+			suggestion: null
+		}
+		// Only suggest a new latency when the hits are consistently off to one side
+		if (!this.controller.replayPlayer && deviations.length >= 20 && Math.abs(mean) >= 10) {
+			// Deviations and the latency are in chart time, which runs faster or slower with the song rate
+			timing.suggestion = Math.round((this.controller.audioLatency + mean) / this.controller.game.playbackRate)
+		}
+		return timing
+	}
+	drawTiming(ctx) {
+		var timing = this.timing
+		var rules = this.rules[this.player[0]]
+		var x = 880
+		var y = 392
+		var w = 360
+		var h = 250
+		this.draw.roundedRect({
+			ctx: ctx,
+			x: x,
+			y: y,
+			w: w,
+			h: h,
+			radius: 14
+		})
+		ctx.fillStyle = "rgba(0, 0, 0, 0.65)"
+		ctx.fill()
+
+		this.draw.layeredText({
+			ctx: ctx,
+			text: strings.timing.title,
+			x: x + 16,
+			y: y + 10,
+			fontSize: 24,
+			fontFamily: this.font,
+			width: 150
+		}, [
+			{ outline: "#000", letterBorder: 8 },
+			{ fill: "#fff" }
+		])
+		var formatMs = value => strings.calibration.ms.replace("%s", (value > 0 ? "+" : "") + (Math.round(value * 10) / 10))
+		ctx.font = this.draw.bold(this.font) + "16px " + this.font
+		ctx.textBaseline = "top"
+		ctx.textAlign = "right"
+		ctx.fillStyle = "#fff"
+		ctx.fillText(strings.timing.average.replace("%s", formatMs(timing.mean)), x + w - 16, y + 10, 180)
+		ctx.fillText(strings.timing.spread.replace("%s", strings.calibration.ms.replace("%s", Math.round(timing.stddev * 10) / 10)), x + w - 16, y + 30, 180)
+
+		// Histogram with the good and ok windows behind it
+		var graphX = x + 16
+		var graphY = y + 56
+		var graphW = w - 32
+		var graphH = 110
+		var toX = value => graphX + (value + timing.range) / (timing.range * 2) * graphW
+		ctx.fillStyle = "rgba(255, 255, 255, 0.08)"
+		ctx.fillRect(graphX, graphY, graphW, graphH)
+		ctx.fillStyle = "rgba(255, 255, 255, 0.12)"
+		ctx.fillRect(toX(-rules.ok), graphY, toX(rules.ok) - toX(-rules.ok), graphH)
+		ctx.fillStyle = "rgba(255, 180, 71, 0.25)"
+		ctx.fillRect(toX(-rules.good), graphY, toX(rules.good) - toX(-rules.good), graphH)
+		var max = Math.max.apply(null, timing.bins)
+		var barW = graphW / timing.bins.length
+		timing.bins.forEach((count, i) => {
+			if (count) {
+				var barH = Math.max(1, count / max * graphH)
+				var center = (i + 0.5) * timing.binSize - timing.range
+				var abs = Math.abs(center)
+				ctx.fillStyle = abs < rules.good ? "#ffb447" : (abs < rules.ok ? "#fff" : "#6b9ad6")
+				ctx.fillRect(graphX + i * barW + 0.5, graphY + graphH - barH, barW - 1, barH)
+			}
+		})
+		ctx.fillStyle = "#fff"
+		ctx.fillRect(toX(0) - 1, graphY, 2, graphH)
+
+		ctx.font = this.draw.bold(this.font) + "16px " + this.font
+		ctx.textAlign = "left"
+		ctx.fillText(strings.timing.early + " " + timing.early, graphX, graphY + graphH + 6, graphW / 2 - 10)
+		ctx.textAlign = "right"
+		ctx.fillText(strings.timing.late + " " + timing.late, graphX + graphW, graphY + graphH + 6, graphW / 2 - 10)
+
+		if (timing.suggestion !== null) {
+			ctx.textAlign = "center"
+			ctx.fillStyle = "#ffb447"
+			var latency = strings.calibration.ms.replace("%s", timing.suggestion)
+			ctx.fillText(strings.timing.suggestion.replace("%s", latency), x + w / 2, graphY + graphH + 32, w - 32)
+		}
+	}
 	getNumber(score, start, elapsed) {
 		var numberPos = Math.floor((elapsed - start) / this.frame)
 		if (numberPos < 0) {
@@ -924,47 +1198,72 @@ class Scoresheet {
 				this.resultsObj.points = 0
 			}
 			var title = this.controller.selectedSong.originalTitle
-			var hash = this.controller.selectedSong.hash
+			var songHash = this.controller.selectedSong.hash
+			var hash = scoreStorage.scoreHash(songHash, this.controller.mods, this.controller.judgement)
 			var difficulty = this.resultsObj.difficulty
+			var modsString = mods.encode(this.controller.mods)
+			if (modsString) {
+				this.resultsObj.mods = modsString
+			}
+			var judgement = this.controller.judgement
+			if (judgement !== "arcade") {
+				this.resultsObj.judgement = judgement
+			}
 			var oldScore = scoreStorage.get(hash, difficulty, true)
-			var clearReached = this.controller.game.rules.clearReached(this.resultsObj.gauge)
+			var clearReached = this.clearReached(this.player[0])
 			var crown = ""
-			if (clearReached) {
+			if (this.controller.mods.noFail) {
+				// The song could not be failed so no crown is given
+			} else if (this.danResult) {
+				crown = this.danResult === "gold" ? "gold" : (clearReached ? "silver" : "")
+			} else if (clearReached) {
 				crown = this.resultsObj.bad === 0 ? "gold" : "silver"
 			}
+			var badge = scoreStorage.bestBadge(crown ? this.badge : "", oldScore && oldScore.badge)
 			if (!oldScore || oldScore.points <= this.resultsObj.points) {
 				if (oldScore && (oldScore.crown === "gold" || oldScore.crown === "silver" && !crown)) {
 					crown = oldScore.crown
 				}
 				this.resultsObj.crown = crown
+				if (badge) {
+					this.resultsObj.badge = badge
+				}
 				delete this.resultsObj.title
 				delete this.resultsObj.difficulty
 				delete this.resultsObj.gauge
 				scoreStorage.add(hash, difficulty, this.resultsObj, true, title).catch(() => {
 					this.showWarning = { name: "scoreSaveFailed" }
 				})
-			} else if (oldScore && (crown === "gold" && oldScore.crown !== "gold" || crown && !oldScore.crown)) {
-				oldScore.crown = crown
+				if (this.controller.ghost) {
+					scoreStorage.addGhost(hash, difficulty, this.controller.ghost.getTrace(this.resultsObj.points))
+				}
+			} else if (oldScore && (crown === "gold" && oldScore.crown !== "gold" || crown && !oldScore.crown || badge !== (oldScore.badge || ""))) {
+				if (crown === "gold" || !oldScore.crown) {
+					oldScore.crown = crown
+				}
+				if (badge) {
+					oldScore.badge = badge
+				}
 				scoreStorage.add(hash, difficulty, oldScore, true, title).catch(() => {
 					this.showWarning = { name: "scoreSaveFailed" }
 				})
 			}
 			// Record play stats
 			playStats.record(
-				hash,
+				songHash,
 				difficulty,
 				this.resultsObj.points,
 				this.controller.autoPlayEnabled
 			)
-			// Submit to leaderboard (only if not auto-play)
-			if (!this.controller.autoPlayEnabled) {
-				this.submitToLeaderboard(hash, difficulty, this.resultsObj.points)
+			// Submit to leaderboard (only if not auto-play and the rate and scoring are comparable with regular scores, the judgement window has its own board)
+			if (!this.controller.autoPlayEnabled && scoreStorage.scoreHash(songHash, this.controller.mods) === songHash) {
+				this.submitToLeaderboard(songHash, difficulty, this.resultsObj.points, modsString, judgement)
 			}
 		}
 		this.scoreSaved = true
 	}
 
-	submitToLeaderboard(hash, difficulty, score) {
+	submitToLeaderboard(hash, difficulty, score, modsString, judgement) {
 		// Prompt user for name
 		var savedName = localStorage.getItem("leaderboardName") || ""
 		var displayName = prompt(strings.enterName || "Enter your name for leaderboard:", savedName)
@@ -982,7 +1281,9 @@ class Scoresheet {
 				hash: hash,
 				difficulty: difficulty,
 				score: score,
-				display_name: displayName
+				display_name: displayName,
+				mods: modsString || "",
+				judgement: judgement || "arcade"
 			})
 		}).then(response => response.json())
 			.then(data => {
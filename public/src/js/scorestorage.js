@@ -8,9 +8,16 @@ class ScoreStorage{
 		this.requestP2 = new Set()
 		this.requestedP2 = new Set()
 		this.songTitles = {}
-		this.difficulty = ["oni", "ura", "hard", "normal", "easy"]
+		this.difficulty = ["oni", "ura", "hard", "normal", "easy", "dan"]
 		this.scoreKeys = ["points", "good", "ok", "bad", "maxCombo", "drumroll"]
 		this.crownValue = ["", "silver", "gold"]
+		this.badges = ["hard", "extreme", "survival"]
+		this.badgeColors = {
+			hard: "#ff4a4a",
+			extreme: "#b44aff",
+			survival: "#333"
+		}
+		this.ghosts = new IDB("taiko-ghosts", "ghosts")
 	}
 	load(strings, loadFailed){
 		var scores = {}
@@ -54,6 +61,22 @@ class ScoreStorage{
 							}
 							score[name] = value
 						}
+						var modsString = scoreArray[this.scoreKeys.length]
+						if(modsString){
+							score.mods = modsString
+						}
+						var judgement = scoreArray[this.scoreKeys.length + 1]
+						if(judgement){
+							score.judgement = judgement
+						}
+						var badge = scoreArray[this.scoreKeys.length + 2]
+						if(this.badges.indexOf(badge) !== -1){
+							score.badge = badge
+						}
+						var timing = this.parseTiming(scoreArray[this.scoreKeys.length + 3])
+						if(timing){
+							score.timing = timing
+						}
 						if(!songAdded){
 							scores[hash] = {title: null}
 							songAdded = true
@@ -128,6 +151,12 @@ class ScoreStorage{
 					value = Math.floor(value).toString(36)
 					scoreArray.push(value)
 				}
+				// Mods, the judgement preset, the gauge badge and the hit timing follow the score values in their short form
+				var extra = [score[diff].mods, score[diff].judgement, score[diff].badge, this.timingString(score[diff].timing)].map(value => value || "")
+				while(extra.length && !extra[extra.length - 1]){
+					extra.pop()
+				}
+				scoreArray = scoreArray.concat(extra)
 				diffArray.unshift(crown + scoreArray.join(","))
 				notEmpty = true
 			}else if(notEmpty){
@@ -136,6 +165,34 @@ class ScoreStorage{
 		}
 		this.scoreStrings[hash] = diffArray.join(";")
 	}
+	timingString(timing){
+		if(!timing){
+			return ""
+		}
+		// Mean and standard deviation are stored in tenths of a millisecond
+		return [
+			Math.round(timing.mean * 10),
+			Math.round(timing.stddev * 10),
+			timing.early,
+			timing.late
+		].map(value => Math.floor(value).toString(36)).join("/")
+	}
+	parseTiming(string){
+		var values = (string || "").split("/").map(value => parseInt(value, 36))
+		if(values.length !== 4 || values.some(value => isNaN(value))){
+			return null
+		}
+		return {
+			mean: values[0] / 10,
+			stddev: values[1] / 10,
+			early: values[2],
+			late: values[3]
+		}
+	}
+	bestBadge(badge1, badge2){
+		// Survival is the hardest gauge to clear, hard is the easiest
+		return this.badges.indexOf(badge1) >= this.badges.indexOf(badge2) ? badge1 || "" : badge2 || ""
+	}
 	titleHash(song){
 		if(song in this.songTitles){
 			return this.songTitles[song]
@@ -143,6 +200,19 @@ class ScoreStorage{
 			return song
 		}
 	}
+	scoreHash(hash, modValues, judgement){
+		// Scores played at a different song rate, with another scoring mode or other judgement windows are kept apart from the regular ones
+		if(modValues.rate && modValues.rate !== 1){
+			hash += "@" + modValues.rate
+		}
+		if(modValues.scoring && modValues.scoring !== "default"){
+			hash += "#" + modValues.scoring
+		}
+		if(judgement && judgement !== "arcade"){
+			hash += "~" + judgement
+		}
+		return hash
+	}
 	get(song, difficulty, isHash){
 		if(!song){
 			return this.scores
@@ -248,6 +318,7 @@ class ScoreStorage{
 			if(difficulty){
 				if(difficulty in this.scores[hash]){
 					delete this.scores[hash][difficulty]
+					this.removeGhost(hash, difficulty)
 					var noDiff = true
 					for(var i in this.difficulty){
 						if(this.scores[hash][this.difficulty[i]]){
@@ -263,6 +334,11 @@ class ScoreStorage{
 					}
 				}
 			}else{
+				for(var i in this.difficulty){
+					if(this.scores[hash][this.difficulty[i]]){
+						this.removeGhost(hash, this.difficulty[i])
+					}
+				}
 				delete this.scores[hash]
 				delete this.scoreStrings[hash]
 			}
@@ -321,6 +397,22 @@ class ScoreStorage{
 			}
 		}
 	}
+	addGhost(hash, difficulty, ghost){
+		return this.ghosts.setItem(hash + ":" + difficulty, ghost).catch(() => {})
+	}
+	getGhost(hash, difficulty){
+		// Only the trace of the run that is still the best entry is used
+		var score = this.get(hash, difficulty, true)
+		if(!score){
+			return Promise.resolve(null)
+		}
+		return this.ghosts.getItem(hash + ":" + difficulty).then(ghost => {
+			return ghost && ghost.points === score.points ? ghost : null
+		}, () => null)
+	}
+	removeGhost(hash, difficulty){
+		return this.ghosts.removeItem(hash + ":" + difficulty).catch(() => {})
+	}
 	clearP2(){
 		this.scoresP2 = {}
 		this.requestP2.clear()
@@ -6,8 +6,10 @@ class Settings{
 		var ios = /iPhone|iPad/.test(navigator.userAgent)
 		var phone = /Android|iPhone|iPad/.test(navigator.userAgent)
 		this.allLanguages = []
+		var msFormat = {}
 		for(var i in allStrings){
 			this.allLanguages.push(i)
+			msFormat[i] = allStrings[i].calibration.ms
 		}
 		
 		this.items = {
@@ -57,6 +59,51 @@ class Settings{
 			showLyrics: {
 				type: "toggle",
 				default: true
+			},
+			showGhost: {
+				type: "toggle",
+				default: true
+			},
+			hitErrorBar: {
+				type: "toggle",
+				default: false
+			},
+			exportTja: {
+				type: "toggle",
+				default: false
+			},
+			ratePitch: {
+				type: "toggle",
+				default: true
+			},
+			judgement: {
+				type: "select",
+				options: ["arcade", "nijiiro", "lenient", "strict", "custom"],
+				default: "arcade"
+			},
+			judgementGood: {
+				type: "number",
+				min: 5,
+				max: 100,
+				default: 25,
+				format_lang: msFormat,
+				indent: 1
+			},
+			judgementOk: {
+				type: "number",
+				min: 10,
+				max: 150,
+				default: 75,
+				format_lang: msFormat,
+				indent: 1
+			},
+			judgementBad: {
+				type: "number",
+				min: 15,
+				max: 200,
+				default: 108,
+				format_lang: msFormat,
+				indent: 1
 			}
 		}
 		
@@ -100,6 +147,9 @@ class Settings{
 							break
 						}
 						this.storage[i] = obj
+					}else if(current.type === "number"){
+						var value = parseFloat(storage[i])
+						this.storage[i] = isNaN(value) ? null : Math.max(current.min, Math.min(current.max, value))
 					}else{
 						this.storage[i] = storage[i]
 					}
@@ -134,6 +184,28 @@ class Settings{
 			}
 		}catch(e){}
 	}
+	getJudgement(){
+		// Short form recorded with scores and replays, custom windows are written as "good-ok-bad" in milliseconds
+		var preset = this.getItem("judgement")
+		if(preset === "custom"){
+			return [
+				this.getItem("judgementGood"),
+				this.getItem("judgementOk"),
+				this.getItem("judgementBad")
+			].map(value => Math.round(value)).join("-")
+		}
+		return preset
+	}
+	getJudgementText(judgement){
+		if(!judgement){
+			return ""
+		}
+		var preset = strings.settings.judgement[judgement]
+		if(this.items.judgement.options.indexOf(judgement) !== -1 && preset){
+			return preset
+		}
+		return strings.calibration.ms.replace("%s", judgement.split("-").join("/"))
+	}
 	getLang(){
 		if("languages" in navigator){
 			var userLang = navigator.languages.slice()
@@ -632,14 +704,15 @@ class SettingsView{
 			})
 		}else if(current.type === "number"){
 			var mul = Math.pow(10, current.fixedPoint || 0)
-			this.items[name].value = value * mul
+			var item = this.items.find(item => item.id === name)
+			item.value = value * mul
 			value = Intl.NumberFormat(strings.intl, current.sign ? {
 				signDisplay: "always"
 			} : undefined).format(value)
 			if(current.format || current.format_lang){
 				value = this.getLocalTitle(current.format, current.format_lang).replace("%s", value)
 			}
-			this.items[name].valueText.data = value
+			item.valueText.data = value
 			return
 		}
 		valueDiv.innerText = value
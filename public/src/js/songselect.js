@@ -75,6 +75,12 @@ class SongSelect {
 				border: ["#fde9df", "#ce7553"],
 				outline: "#ce7553"
 			},
+			"replays": {
+				sort: 0,
+				background: "#a8d8f0",
+				border: ["#dff2fb", "#4a9ccc"],
+				outline: "#4a9ccc"
+			},
 			// カスタム曲スキン
 			"upload": {
 				sort: 0,
@@ -114,6 +120,23 @@ class SongSelect {
 				this.songSkin[category.title] = category.songSkin
 			}
 		}
+		this.genreSkins = {}
+		if (assets.customSongs && assets.customGenres) {
+			// Genres from box.def and genre.ini keep the order of their folders
+			assets.customGenres.forEach(genre => {
+				if (!this.songSkin[genre.title]) {
+					songSkinLength++
+					var songSkin = {}
+					var source = genre.songSkin || this.songSkin.default
+					for (var i in source) {
+						songSkin[i] = source[i]
+					}
+					songSkin.sort = songSkinLength
+					this.songSkin[genre.title] = songSkin
+					this.genreSkins[genre.title] = songSkin
+				}
+			})
+		}
 		this.songSkin["default"].sort = songSkinLength + 1
 
 		this.font = strings.font
@@ -216,6 +239,12 @@ class SongSelect {
 			action: "plugins",
 			category: strings.random
 		})
+		this.songs.push({
+			title: strings.replays.title,
+			skin: this.songSkin.replays,
+			action: "replays",
+			category: strings.random
+		})
 
 		// カスタムメニュー
 		// this.songs.push({
@@ -243,27 +272,9 @@ class SongSelect {
 		});
 
 		this.songs.push({
-			title: "ばいそく",
-			skin: this.songSkin.customSettings,
-			action: "baisoku",
-		});
-
-		this.songs.push({
-			title: "ドロン",
-			skin: this.songSkin.customSettings,
-			action: "doron",
-		});
-
-		this.songs.push({
-			title: "あべこべ",
-			skin: this.songSkin.customSettings,
-			action: "abekobe",
-		});
-
-		this.songs.push({
-			title: "でたらめ",
+			title: strings.mods.title,
 			skin: this.songSkin.customSettings,
-			action: "detarame",
+			action: "mods",
 		});
 
 
@@ -317,7 +328,7 @@ class SongSelect {
 			iconFill: "#fff4b3",
 			letterSpacing: 2
 		}]
-		this.optionsList = [strings.none, strings.auto, strings.netplay]
+		this.optionsList = [strings.none, strings.auto, strings.netplay, strings.practice.option]
 
 		this.draw = new CanvasDraw(noSmoothing)
 		this.songTitleCache = new CanvasCache(noSmoothing)
@@ -433,7 +444,8 @@ class SongSelect {
 			selLock: false,
 			catJump: false,
 			focused: true,
-			waitPreview: 0
+			waitPreview: 0,
+			showMods: false
 		}
 		this.songSelecting = {
 			speed: parseFloat(localStorage.getItem("sss") ?? "400", 10),
@@ -546,6 +558,8 @@ class SongSelect {
 				this.state.showWarning = false
 				this.showWarning = false
 			}
+		} else if (this.state.showMods) {
+			this.modsKeyPress(name)
 		} else if (this.search.opened) {
 			this.search.keyPress(pressed, name, event, repeat, ctrl)
 		} else if (this.state.screen === "song") {
@@ -670,6 +684,14 @@ class SongSelect {
 				this.state.showWarning = false
 				this.showWarning = false
 			}
+		} else if (this.state.showMods) {
+			var moveBy = this.modsMouse(mouse.x, mouse.y)
+			if (moveBy === "outside") {
+				this.closeMods()
+			} else if (moveBy !== null) {
+				this.modsSelected = moveBy
+				this.modsKeyPress("confirm")
+			}
 		} else if (this.state.screen === "song") {
 			if (20 < mouse.y && mouse.y < 90 && 410 < mouse.x && mouse.x < 880 && (mouse.x < 540 || mouse.x > 750)) {
 				this.categoryJump(mouse.x < 640 ? -1 : 1)
@@ -717,7 +739,7 @@ class SongSelect {
 		event.preventDefault()
 	}
 	mouseWheel(event) {
-		if (this.state.screen === "song" && this.state.focused) {
+		if (this.state.screen === "song" && this.state.focused && !this.state.showMods) {
 			this.wheelTimer = this.getMS()
 
 			if (event.deltaY < 0) {
@@ -734,6 +756,12 @@ class SongSelect {
 			if (408 < mouse.x && mouse.x < 872 && 470 < mouse.y && mouse.y < 550) {
 				moveTo = "showWarning"
 			}
+		} else if (this.state.showMods) {
+			moveTo = this.modsMouse(mouse.x, mouse.y)
+			if (moveTo === "outside") {
+				moveTo = null
+			}
+			this.state.moveHover = moveTo
 		} else if (this.state.screen === "song" && !this.search.opened) {
 			if (20 < mouse.y && mouse.y < 90 && 410 < mouse.x && mouse.x < 880 && (mouse.x < 540 || mouse.x > 750)) {
 				moveTo = mouse.x < 640 ? "categoryPrev" : "categoryNext"
@@ -904,6 +932,11 @@ class SongSelect {
 				if (currentSong.unloaded) {
 					return
 				}
+				if (currentSong.courses.dan && !p2.session) {
+					// Dan courses have a single chart, skip the difficulty selection
+					this.toLoadSong("dan")
+					return
+				}
 
 				var prevScreen = this.state.screen
 				this.state.screen = "difficulty"
@@ -948,6 +981,8 @@ class SongSelect {
 				this.toCustomSongs()
 			} else if (currentSong.action === "plugins") {
 				this.toPlugins()
+			} else if (currentSong.action === "replays") {
+				this.toReplays()
 			}
 			// カスタムメニューの実行処理
 			else if (currentSong.action === "sourceCode") {
@@ -983,62 +1018,8 @@ class SongSelect {
 						location.reload();
 					}
 				}, 100);
-			} else if (currentSong.action === "baisoku") {
-				this.playSound("se_don");
-				setTimeout(() => {
-					let baisoku = localStorage.getItem("baisoku") ?? "1";
-					const input = prompt("ばいそくの倍率を入力してね！", baisoku);
-					if (input === null) {
-						// キャンセル
-					} else if (input === "") {
-						baisoku = "1";
-					} else {
-						baisoku = input;
-					}
-					localStorage.setItem("baisoku", baisoku.toString());
-				}, 100);
-			} else if (currentSong.action === "doron") {
-				this.playSound("se_don");
-				setTimeout(() => {
-					let doron = localStorage.getItem("doron") ?? "false";
-					const input = prompt("ドロンを有効にするには\"true\"を入力してね！", doron);
-					if (input === null) {
-						// キャンセル
-					} else if (input === "") {
-						doron = "false";
-					} else {
-						doron = input;
-					}
-					localStorage.setItem("doron", doron);
-				}, 100);
-			} else if (currentSong.action === "abekobe") {
-				this.playSound("se_don");
-				setTimeout(() => {
-					let abekobe = localStorage.getItem("abekobe") ?? "false";
-					const input = prompt("あべこべを有効にするには\"true\"を入力してね！", abekobe);
-					if (input === null) {
-						// キャンセル
-					} else if (input === "") {
-						abekobe = "false";
-					} else {
-						abekobe = input;
-					}
-					localStorage.setItem("abekobe", abekobe);
-				}, 100);
-			} else if (currentSong.action === "detarame") {
-				this.playSound("se_don");
-				setTimeout(() => {
-					let detarame = localStorage.getItem("detarame") ?? "0";
-					const input = prompt("でたらめになる確率をパーセントで入力してね！", detarame);
-					if (input === null) {
-						// キャンセル
-					} else if (input === "") {
-						detarame = "0";
-					} else {
-						detarame = input;
-					}
-					localStorage.setItem("detarame", detarame);
-				}, 100);
+			} else if (currentSong.action === "mods") {
+				this.toMods()
 			} else if (currentSong.action === "titlesort") {
 				this.playSound("se_don");
 				setTimeout(() => {
@@ -1101,7 +1082,9 @@ class SongSelect {
 			} else {
 				localStorage["selectedSong"] = this.selectedSong
 			}
-			localStorage["selectedDiff"] = difficulty + this.diffOptions.length
+			if (difficulty !== "dan") {
+				localStorage["selectedDiff"] = difficulty + this.diffOptions.length
+			}
 		} catch (e) { }
 
 		if (difficulty === 3 && this.state.ura) {
@@ -1109,20 +1092,29 @@ class SongSelect {
 		}
 		var autoplay = false
 		var multiplayer = false
+		var practice = false
 		if (p2.session || this.state.options === 2) {
 			multiplayer = true
 		} else if (this.state.options === 1) {
 			autoplay = true
+		} else if (this.state.options === 3) {
+			practice = true
 		} else if (shift) {
 			autoplay = shift
 		} else if (p2.socket && p2.socket.readyState === 1 && !assets.customSongs) {
 			multiplayer = ctrl
 		}
-		var diff = this.difficultyId[difficulty]
+		if (difficulty === "dan") {
+			multiplayer = false
+			practice = false
+		}
+		var diff = difficulty === "dan" ? "dan" : this.difficultyId[difficulty]
 
 		new LoadSong({
 			"title": selectedSong.title,
 			"originalTitle": selectedSong.originalTitle,
+			"subtitle": selectedSong.subtitle,
+			"subtitleShow": selectedSong.subtitle_show,
 			"folder": selectedSong.id,
 			"difficulty": diff,
 			"category": selectedSong.category,
@@ -1134,6 +1126,7 @@ class SongSelect {
 			"hash": selectedSong.hash,
 			"lyrics": selectedSong.lyrics,
 			"video": selectedSong.video,
+			"practice": practice,
 		}, autoplay, multiplayer, touch)
 	}
 	toOptions(moveBy) {
@@ -1205,6 +1198,7 @@ class SongSelect {
 			assets.customSongs = false
 			assets.songs = assets.songsDefault
 			delete assets.otherFiles
+			delete assets.customGenres
 			this.playSound("se_don")
 			this.clean()
 			setTimeout(() => {
@@ -1230,6 +1224,195 @@ class SongSelect {
 			new SettingsView(this.touchEnabled, false, undefined, undefined, plugins.getSettings())
 		}, 500)
 	}
+	toReplays() {
+		this.playSound("se_don")
+		this.clean()
+		setTimeout(() => {
+			new ReplaysView(this.touchEnabled)
+		}, 500)
+	}
+	toMods() {
+		this.playSound("se_don")
+		this.state.showMods = true
+		this.state.moveHover = null
+		this.state.moveMS = this.getMS()
+		this.modsNames = Object.keys(mods.items)
+		this.modsSelected = 0
+	}
+	closeMods() {
+		this.playSound("se_cancel")
+		this.state.showMods = false
+		this.state.moveHover = null
+	}
+	modsKeyPress(name) {
+		var length = this.modsNames.length + 2
+		var modName = this.modsNames[this.modsSelected]
+		if (name === "back") {
+			this.closeMods()
+		} else if (name === "up" || name === "down") {
+			this.playSound("se_ka")
+			this.modsSelected = this.mod(length, this.modsSelected + (name === "up" ? -1 : 1))
+			this.state.moveMS = this.getMS()
+		} else if ((name === "left" || name === "right") && modName) {
+			this.playSound("se_ka")
+			mods.change(modName, name === "left" ? -1 : 1)
+		} else if (name === "confirm") {
+			if (modName) {
+				this.playSound("se_don")
+				mods.change(modName, 1)
+			} else if (this.modsSelected === this.modsNames.length) {
+				this.playSound("se_don")
+				mods.reset()
+			} else {
+				this.playSound("se_don")
+				this.state.showMods = false
+				this.state.moveHover = null
+			}
+		}
+	}
+	modsMouse(x, y) {
+		if (x < 269 || x > 1011 || y < 93 || y > 587) {
+			return "outside"
+		}
+		if (300 < x && x < 980 && 150 <= y && y < 150 + this.modsNames.length * 28) {
+			return Math.floor((y - 150) / 28)
+		}
+		if (500 < y && y < 564) {
+			if (340 < x && x < 620) {
+				return this.modsNames.length
+			} else if (660 < x && x < 940) {
+				return this.modsNames.length + 1
+			}
+		}
+		return null
+	}
+	drawMods(ctx, winW, winH, frameLeft, frameTop) {
+		ctx.fillStyle = "rgba(0, 0, 0, 0.5)"
+		ctx.fillRect(0, 0, winW, winH)
+
+		ctx.save()
+		ctx.translate(frameLeft, frameTop)
+
+		var pauseRect = (ctx, mul) => {
+			this.draw.roundedRect({
+				ctx: ctx,
+				x: 269 * mul,
+				y: 93 * mul,
+				w: 742 * mul,
+				h: 494 * mul,
+				radius: 17 * mul
+			})
+		}
+		pauseRect(ctx, 1)
+		ctx.strokeStyle = "#fff"
+		ctx.lineWidth = 24
+		ctx.stroke()
+		ctx.strokeStyle = "#000"
+		ctx.lineWidth = 12
+		ctx.stroke()
+		this.draw.pattern({
+			ctx: ctx,
+			img: assets.image["bg_pause"],
+			shape: pauseRect,
+			dx: 68,
+			dy: 11
+		})
+
+		this.draw.layeredText({
+			ctx: ctx,
+			text: strings.mods.title,
+			x: 640,
+			y: 112,
+			width: 680,
+			fontSize: 36,
+			fontFamily: this.font,
+			align: "center"
+		}, [
+			{ outline: "#000", letterBorder: 10 },
+			{ fill: "#fff" }
+		])
+
+		var highlightBox = (index, x, y, w, h, radius) => {
+			var highlight = 0
+			if (this.state.moveHover === index) {
+				highlight = 2
+			} else if (this.modsSelected === index) {
+				highlight = 1
+			}
+			if (highlight) {
+				this.draw.highlight({
+					ctx: ctx,
+					x: x - 3.5,
+					y: y - 3.5,
+					w: w + 7,
+					h: h + 7,
+					animate: highlight === 1,
+					animateMS: Math.max(this.state.moveMS, this.state.mouseMoveMS),
+					opacity: highlight === 2 ? 0.8 : 1,
+					radius: radius
+				})
+			}
+		}
+
+		ctx.font = this.draw.bold(this.font) + "20px " + this.font
+		ctx.textBaseline = "middle"
+		this.modsNames.forEach((name, i) => {
+			var y = 150 + i * 28
+			var value = mods.getItem(name)
+			ctx.fillStyle = value === mods.items[name].default ? "rgba(255, 255, 255, 0.5)" : "rgba(255, 180, 71, 0.8)"
+			this.draw.roundedRect({
+				ctx: ctx,
+				x: 300,
+				y: y + 2,
+				w: 680,
+				h: 25,
+				radius: 8
+			})
+			ctx.fill()
+			ctx.fillStyle = "#000"
+			ctx.textAlign = "left"
+			ctx.fillText(strings.mods[name], 316, y + 15, 420)
+			ctx.textAlign = "right"
+			ctx.fillText("◀ " + mods.getValueText(name, value) + " ▶", 964, y + 15, 220)
+			highlightBox(i, 300, y + 2, 680, 25, 8)
+		})
+
+		var buttons = [strings.mods.reset, strings.tutorial.ok]
+		buttons.forEach((text, i) => {
+			var _x = 340 + i * 320
+			var _y = 500
+			var _w = 280
+			var _h = 64
+			ctx.fillStyle = "#ffb447"
+			this.draw.roundedRect({
+				ctx: ctx,
+				x: _x,
+				y: _y,
+				w: _w,
+				h: _h,
+				radius: 30
+			})
+			ctx.fill()
+			this.draw.layeredText({
+				ctx: ctx,
+				text: text,
+				x: _x + _w / 2,
+				y: _y + 14,
+				width: _w,
+				height: _h - 40,
+				fontSize: 34,
+				fontFamily: this.font,
+				letterSpacing: -1,
+				align: "center"
+			}, [
+				{ outline: "#000", letterBorder: 10 },
+				{ fill: "#fff" }
+			])
+			highlightBox(this.modsNames.length + i, _x, _y, _w, _h, 30)
+		})
+
+		ctx.restore()
+	}
 
 	redraw() {
 		if (!this.redrawRunning) {
@@ -1856,7 +2039,7 @@ class SongSelect {
 					if (currentSong.courses[this.difficultyId[i]] || currentUra) {
 						var crownDiff = currentUra ? "ura" : this.difficultyId[i]
 						var players = p2.session ? 2 : 1
-						var score = [scoreStorage.get(currentSong.hash, false, true)]
+						var score = [scoreStorage.get(this.scoreHash(currentSong), false, true)]
 						if (p2.session) {
 							score[p2.player === 1 ? "push" : "unshift"](scoreStorage.getP2(currentSong.hash, false, true))
 						}
@@ -1871,14 +2054,27 @@ class SongSelect {
 								reversed = true
 								a++
 							} else {
+								var crownX = (songSel ? x + 33 + i * 60 : x + 402 + i * 100) + (players === 2 ? p === 0 ? -13 : 13 : 0)
+								var crownY = songSel ? y + 75 : y + 30
 								this.draw.crown({
 									ctx: ctx,
 									type: crownType,
-									x: (songSel ? x + 33 + i * 60 : x + 402 + i * 100) + (players === 2 ? p === 0 ? -13 : 13 : 0),
-									y: songSel ? y + 75 : y + 30,
+									x: crownX,
+									y: crownY,
 									scale: 0.25,
 									ratio: this.ratio / this.pixelRatio
 								})
+								var badge = crownType && score[p][crownDiff].badge
+								if (badge) {
+									// Gauge badge next to the crown
+									ctx.fillStyle = scoreStorage.badgeColors[badge]
+									ctx.strokeStyle = "#fff"
+									ctx.lineWidth = 2
+									ctx.beginPath()
+									ctx.arc(crownX + 11, crownY + 8, 5, 0, Math.PI * 2)
+									ctx.fill()
+									ctx.stroke()
+								}
 							}
 						}
 						if (songSel && !this.state.move) {
@@ -2762,6 +2958,10 @@ class SongSelect {
 			ctx.restore()
 		}
 
+		if (this.state.showMods) {
+			this.drawMods(ctx, winW, winH, frameLeft, frameTop)
+		}
+
 		if (screen === "titleFadeIn") {
 			ctx.save()
 
@@ -2841,11 +3041,20 @@ class SongSelect {
 		}
 	}
 
+	scoreHash(song) {
+		// Crowns are shown for the song rate, scoring mode and judgement windows the song would be played with
+		var modValues = mods.getForSong({
+			folder: song.id,
+			difficulty: song.courses && song.courses.dan ? "dan" : null
+		}, p2.session)
+		return scoreStorage.scoreHash(song.hash, modValues, p2.session ? "arcade" : settings.getJudgement())
+	}
+
 	drawSongCrown(config) {
 		if (!config.song.action && config.song.hash) {
 			var ctx = config.ctx
 			var players = p2.session ? 2 : 1
-			var score = [scoreStorage.get(config.song.hash, false, true)]
+			var score = [scoreStorage.get(this.scoreHash(config.song), false, true)]
 			var scoreDrawn = []
 			if (p2.session) {
 				score[p2.player === 1 ? "push" : "unshift"](scoreStorage.getP2(config.song.hash, false, true))
@@ -3021,6 +3230,9 @@ class SongSelect {
 		} else if (song.category) {
 			var categoryName = song.category
 			var originalCategory = song.category
+			if (song.category in this.genreSkins) {
+				var skin = this.genreSkins[song.category]
+			}
 		}
 		if (!categoryName) {
 			if (song.song_type) {
@@ -3274,21 +3486,34 @@ class SongSelect {
 		var musicBlob
 		var lyricsBlob
 		var blobs = []
+		var writer = null
+		if (song.chart && (song.type === "tja" || song.type === "osu") && settings.getItem("exportTja")) {
+			// A TJA file written from the parsed charts is added next to the original files
+			writer = new WriteTja({
+				title: song.title,
+				subtitle: song.subtitle,
+				preview: song.preview
+			})
+		}
 		if (song.chart) {
 			var charts = []
+			var chartDiffs = []
 			if (song.chart.separateDiff) {
 				for (var i in song.chart) {
 					if (song.chart[i] && i !== "separateDiff") {
 						charts.push(song.chart[i])
+						chartDiffs.push(i)
 					}
 				}
 			} else {
 				charts.push(song.chart)
+				chartDiffs.push("oni")
 			}
-			charts.forEach(chart => {
+			charts.forEach((chart, chartIndex) => {
 				promises.push(chart.blob().then(blob => {
 					var promise
-					if (!chartParsed) {
+					if (!chartParsed || writer) {
+						var firstChart = !chartParsed
 						chartParsed = true
 						if (song.type === "tja") {
 							promise = readFile(blob, false, "utf-8").then(dataRaw => {
@@ -3299,15 +3524,36 @@ class SongSelect {
 									if (meta.wave) {
 										musicFilename = meta.wave
 									}
+									if (writer && diff in writer.courseNames) {
+										var course = song.courses[diff]
+										var stars = course ? course.stars : meta.level
+										writer.addCourse(new ParseTja(data, diff, stars, 0), diff, meta.level || stars)
+									}
+								}
+								if (firstChart && !song.lyricsFile) {
+									var vtt = tja.exportLyrics()
+									if (vtt) {
+										lyricsBlob = {
+											name: chart.name.replace(/\.[^.]*$/, "") + ".vtt",
+											data: new Blob([vtt], { type: "text/vtt" })
+										}
+										blobs.push(lyricsBlob)
+									}
 								}
 							})
 						} else if (song.type === "osu") {
 							promise = readFile(blob).then(dataRaw => {
 								var data = dataRaw ? dataRaw.replace(/\0/g, "").split("\n") : []
-								var osu = new ParseOsu(data, "oni", 0, 0, true)
+								var osu = new ParseOsu(data, "oni", 0, 0, false)
 								if (osu.generalInfo.AudioFilename) {
 									musicFilename = osu.generalInfo.AudioFilename
 								}
+								if (writer) {
+									// Each osu file is one difficulty, named by the course it was imported as
+									var diff = chartDiffs[chartIndex]
+									var course = song.courses[diff]
+									writer.addCourse(osu, diff, course ? course.stars : 0)
+								}
 							})
 						}
 					}
@@ -3358,6 +3604,15 @@ class SongSelect {
 					lyricsBlob.name = filename + ".vtt"
 				}
 			}
+			if (writer && writer.courses.length) {
+				writer.meta.wave = musicFilename || ""
+				var exportName = chartBlob ? chartBlob.name : charts[0].name
+				blobs.push({
+					// Named apart from the original chart so both can be kept in the zip
+					name: exportName.replace(/\.[^.]*$/, "") + (song.type === "tja" ? ".export.tja" : ".tja"),
+					data: new Blob([writer.getFile()], { type: "text/plain" })
+				})
+			}
 			blobs.forEach(blob => zip.file(blob.name, blob.data))
 		}).then(() => zip.generateAsync({ type: "blob" })).then(zip => {
 			var url = URL.createObjectURL(zip)
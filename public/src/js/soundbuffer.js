@@ -68,6 +68,97 @@
 			gain.setVolume(gain.defaultVol)
 		}
 	}
+	timeStretch(buffer, rate, job){
+		// Overlap-add with a waveform similarity search, changes the tempo without changing the pitch
+		// Setting job.cancelled stops the work between chunks and rejects the promise
+		var sampleRate = buffer.sampleRate
+		var channels = buffer.numberOfChannels
+		var frame = Math.round(sampleRate * 0.02) * 2
+		var hop = frame / 2
+		var search = Math.round(sampleRate * 0.008)
+		var length = Math.floor(buffer.length / rate)
+		var output = this.context.createBuffer(channels, Math.max(1, length), sampleRate)
+		var input = []
+		var outputData = []
+		for(var i = 0; i < channels; i++){
+			input.push(buffer.getChannelData(i))
+			outputData.push(output.getChannelData(i))
+		}
+		var hann = new Float32Array(frame)
+		for(var i = 0; i < frame; i++){
+			hann[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / frame)
+		}
+		var guide = input[0]
+		var frames = Math.ceil(length / hop)
+		var frameIndex = 0
+		var previous = 0
+		return new Promise((resolve, reject) => {
+			var step = () => {
+				if(job && job.cancelled){
+					return reject("cancelled")
+				}
+				var end = Math.min(frames, frameIndex + 500)
+				for(; frameIndex < end; frameIndex++){
+					var outPos = frameIndex * hop
+					var inPos = Math.round(outPos * rate)
+					var natural = previous + hop
+					if(frameIndex !== 0 && natural + hop < guide.length){
+						// Picks the offset that continues the previously added frame the best
+						var best = 0
+						var bestScore = -Infinity
+						for(var offset = -search; offset <= search; offset += 4){
+							var pos = inPos + offset
+							if(pos < 0 || pos + hop >= guide.length){
+								continue
+							}
+							var score = 0
+							for(var i = 0; i < hop; i += 8){
+								score += guide[pos + i] * guide[natural + i]
+							}
+							if(score > bestScore){
+								best = offset
+								bestScore = score
+							}
+						}
+						inPos += best
+					}
+					previous = inPos
+					var frameEnd = Math.min(frame, length - outPos, guide.length - inPos)
+					for(var j = 0; j < channels; j++){
+						var channelIn = input[j]
+						var channelOut = outputData[j]
+						for(var i = 0; i < frameEnd; i++){
+							channelOut[outPos + i] += channelIn[inPos + i] * hann[i]
+						}
+					}
+				}
+				if(frameIndex < frames){
+					setTimeout(step)
+				}else{
+					resolve(output)
+				}
+			}
+			step()
+		})
+	}
+	resample(buffer, rate){
+		// Plays the buffer faster or slower into an offline context, the pitch changes with the tempo
+		var length = Math.max(1, Math.floor(buffer.length / rate))
+		var OfflineContext = window.OfflineAudioContext || window.webkitOfflineAudioContext
+		var context = new OfflineContext(buffer.numberOfChannels, length, buffer.sampleRate)
+		var source = context.createBufferSource()
+		source.buffer = buffer
+		source.playbackRate.value = rate
+		source.connect(context.destination)
+		source.start(0)
+		return new Promise((resolve, reject) => {
+			context.oncomplete = event => resolve(event.renderedBuffer)
+			var promise = context.startRendering()
+			if(promise){
+				promise.catch(reject)
+			}
+		})
+	}
 	fallbackDecoder(buffer, resolve, reject){
 		Oggmented().then(oggmented => oggmented.decodeOggData(buffer, resolve, reject), reject)
 	}
@@ -138,6 +229,16 @@ class Sound{
 	copy(gain){
 		return new Sound(gain || this.gain, this.buffer)
 	}
+	stretch(rate, job){
+		return this.soundBuffer.timeStretch(this.buffer, rate, job).then(buffer => {
+			return new Sound(this.gain, buffer)
+		})
+	}
+	resample(rate){
+		return this.soundBuffer.resample(this.buffer, rate).then(buffer => {
+			return new Sound(this.gain, buffer)
+		})
+	}
 	getTime(){
 		return this.soundBuffer.getTime()
 	}
@@ -137,6 +137,361 @@ var translations = {
 		tw: "網上對打",
 		ko: "온라인 대전"
 	},
+	mods: {
+		title: {
+			ja: "演奏オプション",
+			en: "Mods",
+			cn: "演奏选项",
+			tw: "演奏選項",
+			ko: "연주 옵션"
+		},
+		speed: {
+			ja: "ばいそく",
+			en: "Speed",
+			cn: "倍速",
+			tw: "倍速",
+			ko: "배속"
+		},
+		rate: {
+			ja: "再生速度",
+			en: "Song Rate",
+			cn: "播放速度",
+			tw: "播放速度",
+			ko: "재생 속도"
+		},
+		hidden: {
+			ja: "ヒドゥン",
+			en: "Hidden",
+			cn: "渐隐",
+			tw: "漸隱",
+			ko: "히든"
+		},
+		sudden: {
+			ja: "サドゥン",
+			en: "Sudden",
+			cn: "突现",
+			tw: "突現",
+			ko: "서든"
+		},
+		stealth: {
+			ja: "ドロン",
+			en: "Stealth",
+			cn: "隐身",
+			tw: "隱身",
+			ko: "도론"
+		},
+		flip: {
+			ja: "あべこべ",
+			en: "Flip",
+			cn: "颠倒",
+			tw: "顛倒",
+			ko: "아베코베"
+		},
+		random: {
+			ja: "でたらめ",
+			en: "Random",
+			cn: "随机",
+			tw: "隨機",
+			ko: "랜덤"
+		},
+		scoring: {
+			ja: "配点",
+			en: "Scoring",
+			cn: "配分",
+			tw: "配分",
+			ko: "배점"
+		},
+		scoringOptions: {
+			default: {
+				ja: "通常",
+				en: "Default",
+				cn: "通常",
+				tw: "通常",
+				ko: "기본"
+			},
+			shinuchi: {
+				ja: "真打",
+				en: "Shin-uchi",
+				cn: "真打",
+				tw: "真打",
+				ko: "진타"
+			},
+			nijiiro: {
+				ja: "ニジイロ",
+				en: "Nijiiro",
+				cn: "虹色",
+				tw: "虹色",
+				ko: "니지이로"
+			}
+		},
+		gauge: {
+			ja: "ゲージ",
+			en: "Gauge",
+			cn: "魂槽",
+			tw: "魂條",
+			ko: "게이지"
+		},
+		gaugeOptions: {
+			normal: {
+				ja: "ノーマル",
+				en: "Normal",
+				cn: "普通",
+				tw: "普通",
+				ko: "노멀"
+			},
+			hard: {
+				ja: "ハード",
+				en: "Hard",
+				cn: "困难",
+				tw: "困難",
+				ko: "하드"
+			},
+			extreme: {
+				ja: "エクストリーム",
+				en: "Extreme",
+				cn: "极限",
+				tw: "極限",
+				ko: "익스트림"
+			},
+			survival: {
+				ja: "サバイバル",
+				en: "Survival",
+				cn: "生存",
+				tw: "生存",
+				ko: "서바이벌"
+			}
+		},
+		noFail: {
+			ja: "ノーフェイル",
+			en: "No Fail",
+			cn: "不会失败",
+			tw: "不會失敗",
+			ko: "노 페일"
+		},
+		gaugeFailed: {
+			ja: "ゲージが尽きた",
+			en: "Gauge Depleted",
+			cn: "魂槽耗尽",
+			tw: "魂條耗盡",
+			ko: "게이지 소진"
+		},
+		autoBalloon: {
+			ja: "オート風船",
+			en: "Auto Balloon",
+			cn: "自动气球",
+			tw: "自動氣球",
+			ko: "자동 풍선"
+		},
+		perfectOnly: {
+			ja: "良のみ",
+			en: "Perfect Only",
+			cn: "只有良",
+			tw: "只有良",
+			ko: "얼쑤만"
+		},
+		reset: {
+			ja: "リセット",
+			en: "Reset",
+			cn: "重置",
+			tw: "重置",
+			ko: "초기화"
+		}
+	},
+	timing: {
+		title: {
+			ja: "タイミング",
+			en: "Timing",
+			cn: "时机",
+			tw: "時機",
+			ko: "타이밍"
+		},
+		average: {
+			ja: "平均 %s",
+			en: "Average %s",
+			cn: "平均 %s",
+			tw: "平均 %s",
+			ko: "평균 %s"
+		},
+		spread: {
+			ja: "ばらつき %s",
+			en: "Spread %s",
+			cn: "偏差 %s",
+			tw: "偏差 %s",
+			ko: "편차 %s"
+		},
+		early: {
+			ja: "はやい",
+			en: "Early",
+			cn: "早",
+			tw: "早",
+			ko: "빠름"
+		},
+		late: {
+			ja: "おそい",
+			en: "Late",
+			cn: "晚",
+			tw: "晚",
+			ko: "느림"
+		},
+		suggestion: {
+			ja: "設定の音声レイテンシーを%sにしてみてください",
+			en: "Try setting the audio latency to %s in the settings",
+			cn: "请尝试在设置中将音频延迟设为%s",
+			tw: "請嘗試在設定中將音訊延遲設為%s",
+			ko: "설정에서 오디오 레이턴시를 %s로 해 보세요"
+		}
+	},
+	replays: {
+		title: {
+			ja: "リプレイ",
+			en: "Replays",
+			cn: "回放",
+			tw: "重播",
+			ko: "리플레이"
+		},
+		replay: {
+			ja: "リプレイ",
+			en: "Replay",
+			cn: "回放",
+			tw: "重播",
+			ko: "리플레이"
+		},
+		play: {
+			ja: "再生",
+			en: "Play",
+			cn: "播放",
+			tw: "播放",
+			ko: "재생"
+		},
+		exportReplay: {
+			ja: "書き出す",
+			en: "Export",
+			cn: "导出",
+			tw: "匯出",
+			ko: "내보내기"
+		},
+		importReplay: {
+			ja: "読み込む",
+			en: "Import",
+			cn: "导入",
+			tw: "匯入",
+			ko: "가져오기"
+		},
+		remove: {
+			ja: "削除",
+			en: "Delete",
+			cn: "删除",
+			tw: "刪除",
+			ko: "삭제"
+		},
+		noReplays: {
+			ja: "保存されたリプレイはありません。曲を最後まで演奏すると自動で保存されます。",
+			en: "No replays saved yet. Replays are saved automatically when a song is played to the end.",
+			cn: "还没有保存的回放。完整演奏乐曲后会自动保存。",
+			tw: "還沒有儲存的重播。完整演奏樂曲後會自動儲存。",
+			ko: "저장된 리플레이가 없습니다. 곡을 끝까지 연주하면 자동으로 저장됩니다."
+		},
+		songMissing: {
+			ja: "このリプレイの曲が見つかりません。",
+			en: "The song of this replay could not be found.",
+			cn: "找不到此回放的乐曲。",
+			tw: "找不到此重播的樂曲。",
+			ko: "이 리플레이의 곡을 찾을 수 없습니다."
+		},
+		invalid: {
+			ja: "リプレイファイルが正しくありません。",
+			en: "This is not a valid replay file.",
+			cn: "无效的回放文件。",
+			tw: "無效的重播檔案。",
+			ko: "올바른 리플레이 파일이 아닙니다."
+		},
+		confirmRemove: {
+			ja: "このリプレイを削除しますか？",
+			en: "Delete this replay?",
+			cn: "要删除此回放吗？",
+			tw: "要刪除此重播嗎？",
+			ko: "이 리플레이를 삭제하시겠습니까?"
+		}
+	},
+	practice: {
+		option: {
+			ja: "練習",
+			en: "Practice",
+			cn: "练习",
+			tw: "練習",
+			ko: "연습"
+		},
+		title: {
+			ja: "練習モード",
+			en: "Practice Mode",
+			cn: "练习模式",
+			tw: "練習模式",
+			ko: "연습 모드"
+		},
+		section: {
+			ja: "セクション",
+			en: "Section",
+			cn: "段落",
+			tw: "段落",
+			ko: "구간"
+		},
+		custom: {
+			ja: "カスタム",
+			en: "Custom",
+			cn: "自定义",
+			tw: "自訂",
+			ko: "사용자 지정"
+		},
+		sectionName: {
+			ja: "セクション%s（%s小節目）",
+			en: "Section %s (measure %s)",
+			cn: "段落%s（第%s小节）",
+			tw: "段落%s（第%s小節）",
+			ko: "구간 %s (%s마디)"
+		},
+		startMeasure: {
+			ja: "開始小節",
+			en: "Start measure",
+			cn: "起始小节",
+			tw: "起始小節",
+			ko: "시작 마디"
+		},
+		endMeasure: {
+			ja: "終了小節",
+			en: "End measure",
+			cn: "结束小节",
+			tw: "結束小節",
+			ko: "종료 마디"
+		},
+		speed: {
+			ja: "再生速度",
+			en: "Speed",
+			cn: "播放速度",
+			tw: "播放速度",
+			ko: "재생 속도"
+		},
+		preparing: {
+			ja: "音声を準備中…",
+			en: "Preparing audio…",
+			cn: "正在准备音频…",
+			tw: "正在準備音訊…",
+			ko: "오디오 준비 중…"
+		},
+		loopResult: {
+			ja: "%s回目：%s%",
+			en: "Loop %s: %s%",
+			cn: "第%s次：%s%",
+			tw: "第%s次：%s%",
+			ko: "%s회차: %s%"
+		},
+		restart: {
+			ja: "区間の最初から",
+			en: "Restart loop",
+			cn: "从段落开头开始",
+			tw: "從段落開頭開始",
+			ko: "구간 처음부터"
+		}
+	},
 	easy: {
 		ja: "かんたん",
 		en: "Easy",
@@ -165,6 +520,20 @@ var translations = {
 		tw: "魔王",
 		ko: "귀신"
 	},
+	dan: {
+		ja: "段位道場",
+		en: "Dan Dojo",
+		cn: "段位道场",
+		tw: "段位道場",
+		ko: "단위 도장"
+	},
+	personalBest: {
+		ja: "自己ベスト",
+		en: "Best",
+		cn: "最佳",
+		tw: "最佳",
+		ko: "최고 기록"
+	},
 	songBranch: {
 		ja: "譜面分岐あり",
 		en: "Diverge Notes",
@@ -294,6 +663,20 @@ var translations = {
 			tw: "氣球",
 			ko: "풍선"
 		},
+		bomb: {
+			ja: "ばくだん",
+			en: "Bomb",
+			cn: "炸弹",
+			tw: "炸彈",
+			ko: "폭탄"
+		},
+		kadon: {
+			ja: "カドン",
+			en: "Ka-Don",
+			cn: "咔咚",
+			tw: "咔咚",
+			ko: "쿵딱"
+		},
 	},
 	ex_note: {
 		don: {
@@ -438,6 +821,101 @@ var translations = {
 		tw: "連打數",
 		ko: "연타 횟수"
 	},
+	exam: {
+		g: {
+			ja: "魂ゲージ",
+			en: "Soul Gauge",
+			cn: "魂槽",
+			tw: "魂槽",
+			ko: "혼 게이지"
+		},
+		jp: {
+			ja: "良の数",
+			en: "GOODs",
+			cn: "良的数量",
+			tw: "良的數量",
+			ko: "얼쑤 수"
+		},
+		jg: {
+			ja: "可の数",
+			en: "OKs",
+			cn: "可的数量",
+			tw: "可的數量",
+			ko: "좋다 수"
+		},
+		jb: {
+			ja: "不可の数",
+			en: "BADs",
+			cn: "不可的数量",
+			tw: "不可的數量",
+			ko: "에구 수"
+		},
+		s: {
+			ja: "スコア",
+			en: "Score",
+			cn: "分数",
+			tw: "分數",
+			ko: "점수"
+		},
+		r: {
+			ja: "連打数",
+			en: "Drumroll",
+			cn: "连打数",
+			tw: "連打數",
+			ko: "연타 횟수"
+		},
+		h: {
+			ja: "叩けた数",
+			en: "Hits",
+			cn: "打中的数量",
+			tw: "打中的數量",
+			ko: "친 횟수"
+		},
+		c: {
+			ja: "最大コンボ数",
+			en: "MAX Combo",
+			cn: "最多连段数",
+			tw: "最多連段數",
+			ko: "최대 콤보 수"
+		},
+		more: {
+			ja: "%s以上",
+			en: "%s or more",
+			cn: "%s以上",
+			tw: "%s以上",
+			ko: "%s 이상"
+		},
+		less: {
+			ja: "%s未満",
+			en: "Less than %s",
+			cn: "少于%s",
+			tw: "少於%s",
+			ko: "%s 미만"
+		}
+	},
+	danResult: {
+		gold: {
+			ja: "金合格",
+			en: "Gold Pass",
+			cn: "金合格",
+			tw: "金合格",
+			ko: "금합격"
+		},
+		pass: {
+			ja: "合格",
+			en: "Pass",
+			cn: "合格",
+			tw: "合格",
+			ko: "합격"
+		},
+		fail: {
+			ja: "不合格",
+			en: "Fail",
+			cn: "不合格",
+			tw: "不合格",
+			ko: "불합격"
+		}
+	},
 	playCount: {
 		ja: "プレイ回数",
 		en: "Play Count",
@@ -872,6 +1350,113 @@ var translations = {
 				ko: "가사 표시하기"
 			}
 		},
+		showGhost: {
+			name: {
+				ja: "自己ベストのゴースト",
+				en: "Personal Best Ghost",
+				cn: "个人最佳幽灵",
+				tw: "個人最佳幽靈",
+				ko: "개인 최고 기록 고스트"
+			}
+		},
+		hitErrorBar: {
+			name: {
+				ja: "タイミングバー",
+				en: "Hit Error Bar",
+				cn: "判定偏差条",
+				tw: "判定偏差條",
+				ko: "타이밍 바"
+			}
+		},
+		exportTja: {
+			name: {
+				ja: "ダウンロードにTJA書き出しを追加",
+				en: "Add TJA Export to Downloads",
+				cn: "下载时附带导出的TJA",
+				tw: "下載時附帶匯出的TJA",
+				ko: "다운로드에 TJA 내보내기 추가"
+			}
+		},
+		ratePitch: {
+			name: {
+				ja: "再生速度で音程を保つ",
+				en: "Keep Pitch at Song Rate",
+				cn: "变速时保持音调",
+				tw: "變速時保持音調",
+				ko: "재생 속도에서 음정 유지"
+			}
+		},
+		judgement: {
+			name: {
+				ja: "判定の幅",
+				en: "Judgement Windows",
+				cn: "判定范围",
+				tw: "判定範圍",
+				ko: "판정 범위"
+			},
+			arcade: {
+				ja: "アーケード",
+				en: "Arcade",
+				cn: "街机",
+				tw: "街機",
+				ko: "아케이드"
+			},
+			nijiiro: {
+				ja: "ニジイロ",
+				en: "Nijiiro",
+				cn: "虹色",
+				tw: "虹色",
+				ko: "니지이로"
+			},
+			lenient: {
+				ja: "あまい",
+				en: "Lenient",
+				cn: "宽松",
+				tw: "寬鬆",
+				ko: "느슨함"
+			},
+			strict: {
+				ja: "きびしい",
+				en: "Strict",
+				cn: "严格",
+				tw: "嚴格",
+				ko: "엄격함"
+			},
+			custom: {
+				ja: "カスタム",
+				en: "Custom",
+				cn: "自定义",
+				tw: "自訂",
+				ko: "사용자 지정"
+			}
+		},
+		judgementGood: {
+			name: {
+				ja: "良の幅",
+				en: "Good Window",
+				cn: "良的范围",
+				tw: "良的範圍",
+				ko: "얼쑤 범위"
+			}
+		},
+		judgementOk: {
+			name: {
+				ja: "可の幅",
+				en: "OK Window",
+				cn: "可的范围",
+				tw: "可的範圍",
+				ko: "좋다 범위"
+			}
+		},
+		judgementBad: {
+			name: {
+				ja: "不可の幅",
+				en: "Bad Window",
+				cn: "不可的范围",
+				tw: "不可的範圍",
+				ko: "에구 범위"
+			}
+		},
 		on: {
 			ja: "オン",
 			en: "On",
@@ -1376,6 +1961,73 @@ var translations = {
 			en: "No Taiko chart files have been found in the provided folder.",
 			tw: "在你選擇的資料夾中找不到譜面檔案。",
 			ko: "해당 폴더에서 채보 파일을 찾을 수 없습니다."
+		},
+		chartReport: {
+			ja: "譜面の問題",
+			en: "Chart Problems",
+			cn: "谱面问题",
+			tw: "譜面問題",
+			ko: "채보 문제"
+		},
+		severity: {
+			error: {
+				ja: "エラー",
+				en: "Error",
+				cn: "错误",
+				tw: "錯誤",
+				ko: "오류"
+			},
+			warning: {
+				ja: "警告",
+				en: "Warning",
+				cn: "警告",
+				tw: "警告",
+				ko: "경고"
+			}
+		},
+		diagnostic: {
+			unknownCommand: {
+				ja: "不明な命令 #%s",
+				en: "Unknown command #%s",
+				cn: "未知命令 #%s",
+				tw: "未知指令 #%s",
+				ko: "알 수 없는 명령 #%s"
+			},
+			noComma: {
+				ja: "小節がカンマで閉じられていません",
+				en: "Measure is not closed with a comma",
+				cn: "小节没有以逗号结束",
+				tw: "小節沒有以逗號結束",
+				ko: "마디가 쉼표로 끝나지 않습니다"
+			},
+			noBranchStart: {
+				ja: "#%s に対応する #BRANCHSTART がありません",
+				en: "#%s without a matching #BRANCHSTART",
+				cn: "#%s 没有对应的 #BRANCHSTART",
+				tw: "#%s 沒有對應的 #BRANCHSTART",
+				ko: "#%s에 대응하는 #BRANCHSTART가 없습니다"
+			},
+			noBranchEnd: {
+				ja: "#BRANCHSTART に対応する #BRANCHEND がありません",
+				en: "#BRANCHSTART without a matching #BRANCHEND",
+				cn: "#BRANCHSTART 没有对应的 #BRANCHEND",
+				tw: "#BRANCHSTART 沒有對應的 #BRANCHEND",
+				ko: "#BRANCHSTART에 대응하는 #BRANCHEND가 없습니다"
+			},
+			noEnd: {
+				ja: "#START に対応する #END がありません",
+				en: "#START without a matching #END",
+				cn: "#START 没有对应的 #END",
+				tw: "#START 沒有對應的 #END",
+				ko: "#START에 대응하는 #END가 없습니다"
+			},
+			balloonCount: {
+				ja: "%sの値は%s個ですが、風船音符は%s個あります",
+				en: "%s lists %s values but the chart has %s balloon notes",
+				cn: "%s有%s个值，但谱面有%s个气球音符",
+				tw: "%s有%s個值，但譜面有%s個氣球音符",
+				ko: "%s 값은 %s개이지만 풍선 음표는 %s개입니다"
+			}
 		}
 	},
 	gpicker: {
@@ -32,17 +32,31 @@
 			"normal": 1,
 			"hard": 2,
 			"oni": 3,
-			"ura": 4
+			"ura": 4,
+			"dan": 3
 		}
 		
 		this.currentScore = {
 			ms: -Infinity,
 			type: 0
 		}
+		this.hitErrorBar = this.multiplayer !== 2 && settings.getItem("hitErrorBar")
+		this.hitErrors = []
 		this.noteFace = {
 			small: 0,
 			big: 3
 		}
+		// #DIRECTION values: right, top, bottom, upper-right, lower-right, left, lower-left, upper-left
+		this.directions = [
+			{x: 1, y: 0},
+			{x: 0, y: -1},
+			{x: 0, y: 1},
+			{x: Math.SQRT1_2, y: -Math.SQRT1_2},
+			{x: Math.SQRT1_2, y: Math.SQRT1_2},
+			{x: -1, y: 0},
+			{x: -Math.SQRT1_2, y: Math.SQRT1_2},
+			{x: -Math.SQRT1_2, y: -Math.SQRT1_2}
+		]
 		this.state = {
 			pausePos: 0,
 			moveMS: 0,
@@ -50,6 +64,7 @@
 			hasPointer: false
 		}
 		this.nextBeat = 0
+		this.scrollMode = this.controller.parsedSongData.scrollMode || false
 		this.gogoTime = 0
 		this.gogoTimeStarted = -Infinity
 		this.drumroll = []
@@ -265,19 +280,21 @@
 		}
 		
 		if(this.player !== 2){
+			var game = this.controller.game
+			var danSong = game.danSongs ? game.danSongs[game.danSong] : null
 			this.titleCache.get({
 				ctx: ctx,
 				x: winW - (touchMultiplayer && fullScreenSupported ? 750 : 650),
 				y: touchMultiplayer ? 75 : 10,
 				w: 640,
 				h: 90,
-				id: "title"
+				id: "title" + (danSong ? game.danSong : "")
 			}, ctx => {
 				var selectedSong = this.controller.selectedSong
 				
 				this.draw.layeredText({
 					ctx: ctx,
-					text: selectedSong.title,
+					text: danSong && danSong.title || selectedSong.title,
 					fontSize: 40,
 					fontFamily: this.font,
 					x: 620,
@@ -289,6 +306,23 @@
 					{fill: "#fff"}
 				])
 				
+				var subtitle = danSong ? danSong.subtitle : selectedSong.subtitle
+				if(subtitle && (danSong || selectedSong.subtitleShow)){
+					this.draw.layeredText({
+						ctx: ctx,
+						text: subtitle,
+						fontSize: 18,
+						fontFamily: this.font,
+						x: selectedSong.category ? 476 : 620,
+						y: 66,
+						width: selectedSong.category ? 440 : 600,
+						align: "right"
+					}, [
+						{outline: "#000", letterBorder: 6},
+						{fill: "#fff"}
+					])
+				}
+				
 				if(selectedSong.category){
 					var _w = 142
 					var _h = 22
@@ -758,6 +792,18 @@
 		}
 		ctx.restore()
 		
+		// Dan exams
+		if(!this.portrait && !this.multiplayer && !this.touchEnabled && this.controller.game.exams.length){
+			this.drawExams(frameTop + 372)
+		}else if(this.controller.ghost && !this.multiplayer){
+			this.drawGhost(winW, frameTop)
+		}
+		
+		// Hit error bar
+		if(this.hitErrorBar){
+			this.drawHitErrorBar(ms)
+		}
+		
 		// Branch background
 		var keyTime = this.controller.getKeyTime()
 		var sound = keyTime["don"] > keyTime["ka"] ? "don" : "ka"
@@ -1048,6 +1094,11 @@
 			this.assets.drawAssets("foreground")
 		}
 		
+		// Gauge failed
+		if(this.controller.game.failedMS !== null){
+			this.drawGaugeFailed(ms - this.controller.game.failedMS, winW, winH)
+		}
+		
 		// Pause screen
 		if(!this.multiplayer && this.controller.game.paused){
 			ctx.fillStyle = "rgba(0, 0, 0, 0.5)"
@@ -1486,17 +1537,31 @@
 		var measureY = this.slotPos.y - 65 * mul
 		var measureH = 130 * mul
 		
+		var speedMul = this.controller.mods.speed
+		
 		measures.forEach(measure => {
-			var timeForDistance = this.posToMs(distanceForCircle, measure.speed * parseFloat(localStorage.getItem("baisoku") ?? "1", 10))
-			var startingTime = measure.ms - timeForDistance + this.controller.videoLatency
-			var finishTime = measure.ms + this.posToMs(this.slotPos.x - this.slotPos.paddingLeft + 3, measure.speed * parseFloat(localStorage.getItem("baisoku") ?? "1", 10)) + this.controller.videoLatency
-			if(measure.visible && (!measure.branch || measure.branch.active) && ms >= startingTime && ms <= finishTime){
-				var measureX = this.slotPos.x + this.msToPos(measure.ms - ms + this.controller.videoLatency, measure.speed * parseFloat(localStorage.getItem("baisoku") ?? "1", 10))
+			if(this.straightScroll(measure)){
+				var speed = measure.speed * speedMul
+				var timeForDistance = this.posToMs(distanceForCircle, speed)
+				var startingTime = measure.ms - timeForDistance + this.controller.videoLatency
+				var finishTime = measure.ms + this.posToMs(this.slotPos.x - this.slotPos.paddingLeft + 3, speed) + this.controller.videoLatency
+				var inView = ms >= startingTime && ms <= finishTime
+			}else{
+				var measurePos = this.notePosition(measure, ms, speedMul)
+				var inView = this.offsetInView(measurePos, measurePos, measureH)
+			}
+			if(measure.suddenAppear && ms < measure.ms - measure.suddenAppear + this.controller.videoLatency){
+				inView = false
+			}
+			if(measure.visible && (!measure.branch || measure.branch.active) && inView){
+				var measurePos = this.notePosition(measure, ms, speedMul)
+				var measureX = this.slotPos.x + measurePos.x
+				var measureOffsetY = measurePos.y
 				this.ctx.strokeStyle = measure.branchFirst ? "#ff0" : "#bdbdbd"
 				this.ctx.lineWidth = 3
 				this.ctx.beginPath()
-				this.ctx.moveTo(measureX, measureY)
-				this.ctx.lineTo(measureX, measureY + measureH)
+				this.ctx.moveTo(measureX, measureY + measureOffsetY)
+				this.ctx.lineTo(measureX, measureY + measureOffsetY + measureH)
 				this.ctx.stroke()
 			}
 			if(this.multiplayer !== 2 && ms >= measure.ms && measure.nextBranch && !measure.viewChecked && measure.gameChecked){
@@ -1534,17 +1599,28 @@
 	drawCircles(circles){
 		var distanceForCircle = this.winW / this.ratio - this.slotPos.x
 		var ms = this.getMS()
+		var speedMul = this.controller.mods.speed
 		
 		for(var i = circles.length; i--;){
 			var circle = circles[i]
-			var speed = circle.speed * parseFloat(localStorage.getItem("baisoku") ?? "1", 10)
 			
-			var timeForDistance = this.posToMs(distanceForCircle + this.slotPos.size / 2, speed)
-			var startingTime = circle.ms - timeForDistance + this.controller.videoLatency
-			var finishTime = circle.endTime + this.posToMs(this.slotPos.x - this.slotPos.paddingLeft + this.slotPos.size * 2, speed) + this.controller.videoLatency
+			if(this.straightScroll(circle)){
+				var speed = circle.speed * speedMul
+				var timeForDistance = this.posToMs(distanceForCircle + this.slotPos.size / 2, speed)
+				var startingTime = circle.ms - timeForDistance + this.controller.videoLatency
+				var finishTime = circle.endTime + this.posToMs(this.slotPos.x - this.slotPos.paddingLeft + this.slotPos.size * 2, speed) + this.controller.videoLatency
+				var inView = ms >= startingTime && ms <= finishTime
+			}else{
+				var startPos = this.notePosition(circle, ms, speedMul)
+				var endPos = this.notePosition(circle, ms, speedMul, true)
+				var inView = this.offsetInView(startPos, endPos, this.slotPos.size)
+			}
+			if(circle.suddenAppear && ms < circle.ms - circle.suddenAppear + this.controller.videoLatency){
+				inView = false
+			}
 			
 			if(circle.isPlayed <= 0 || circle.score === 0){
-				if((!circle.branch || circle.branch.active) && ms >= startingTime && ms <= finishTime && circle.isPlayed !== -1){
+				if((!circle.branch || circle.branch.active) && inView && circle.isPlayed !== -1){
 					this.drawCircle(circle)
 				}
 			}else if(!circle.animating){
@@ -1626,19 +1702,26 @@
 		var circleMs = circle.ms
 		var endTime = circle.endTime
 		var animated = circle.animating
-		var speed = circle.speed * parseFloat(localStorage.getItem("baisoku") ?? "1", 10)
+		var speedMul = this.controller.mods.speed
+		var speed = circle.speed * speedMul
 		var played = circle.isPlayed
 		var drumroll = 0
 		var endX = 0
+		var bodyAngle = 0
 		
-		const doron = localStorage.getItem("doron") ?? "false";
-
 		if(!circlePos){
+			var circleOffset = this.notePosition(circle, ms, speedMul)
 			circlePos = {
-				x: this.slotPos.x + this.msToPos(circleMs - ms + this.controller.videoLatency, speed),
-				y: this.slotPos.y
+				x: this.slotPos.x + circleOffset.x,
+				y: this.slotPos.y + circleOffset.y
 			}
 		}
+		var noteAlpha = 1
+		if(!animated){
+			var distanceForCircle = this.winW / this.ratio - this.slotPos.x
+			noteAlpha = mods.noteAlpha(this.controller.mods, (circlePos.x - this.slotPos.x) / distanceForCircle)
+		}
+		ctx.globalAlpha = noteAlpha
 		if(animated){
 			var noteFace = {
 				small: 0,
@@ -1663,6 +1746,21 @@
 			fill = "#65bdbb"
 			size = bigCircleSize
 			faceID = noteFace.big
+		}else if(type === "kadon"){
+			fill = "#a75ad8"
+			size = circleSize
+			faceID = noteFace.small
+		}else if(type === "adlib"){
+			if(!animated){
+				// ADLib notes stay hidden until they are hit
+				ctx.globalAlpha = 1
+				return
+			}
+			fill = "#f34728"
+			size = circleSize
+			faceID = noteFace.small
+		}else if(type === "bomb"){
+			size = circleSize
 		}else if(type === "balloon"){
 			if(animated){
 				fill = "#f34728"
@@ -1675,17 +1773,22 @@
 				var h = size * 1.8
 				if(circleMs + this.controller.audioLatency < ms && ms <= endTime + this.controller.audioLatency){
 					circlePos.x = this.slotPos.x
+					circlePos.y = this.slotPos.y
 				}else if(ms > endTime + this.controller.audioLatency){
-					circlePos.x = this.slotPos.x + this.msToPos(endTime - ms + this.controller.audioLatency, speed)
-				}
-				if (doron !== "true") {
-					ctx.drawImage(assets.image["balloon"],
-						circlePos.x + size - 4,
-						circlePos.y - h / 2 + 2,
-						h / 61 * 115,
-						h
-					)
+					if(this.straightScroll(circle)){
+						circlePos.x = this.slotPos.x + this.msToPos(endTime - ms + this.controller.audioLatency, speed)
+					}else{
+						var endOffset = this.notePosition(circle, ms, speedMul, true)
+						circlePos.x = this.slotPos.x + endOffset.x
+						circlePos.y = this.slotPos.y + endOffset.y
+					}
 				}
+				ctx.drawImage(assets.image["balloon"],
+					circlePos.x + size - 4,
+					circlePos.y - h / 2 + 2,
+					h / 61 * 115,
+					h
+				)
 			}
 		}else if(type === "drumroll" || type === "daiDrumroll"){
 			fill = "#f3b500"
@@ -1696,23 +1799,41 @@
 				size = bigCircleSize
 				faceID = noteFace.big
 			}
-			endX = this.msToPos(endTime - circleMs, speed)
+			if(this.straightScroll(circle)){
+				endX = this.msToPos(endTime - circleMs, speed)
+			}else{
+				var startOffset = this.notePosition(circle, ms, speedMul)
+				var endOffset = this.notePosition(circle, ms, speedMul, true)
+				endX = Math.hypot(endOffset.x - startOffset.x, endOffset.y - startOffset.y)
+				bodyAngle = Math.atan2(endOffset.y - startOffset.y, endOffset.x - startOffset.x)
+			}
 			drumroll = endX > 50 ? 2 : 1
 			
-			if (doron !== "true") {
-				ctx.fillStyle = fill
-				ctx.strokeStyle = "#000"
-				ctx.lineWidth = 3
-				ctx.beginPath()
-				ctx.moveTo(circlePos.x, circlePos.y - size + 1.5)
-				ctx.arc(circlePos.x + endX, circlePos.y, size - 1.5, Math.PI / -2, Math.PI / 2)
-				ctx.lineTo(circlePos.x, circlePos.y + size - 1.5)
-				ctx.fill()
-				ctx.stroke()
-			}
+			ctx.save()
+			ctx.translate(circlePos.x, circlePos.y)
+			ctx.rotate(bodyAngle)
+			ctx.fillStyle = fill
+			ctx.strokeStyle = "#000"
+			ctx.lineWidth = 3
+			ctx.beginPath()
+			ctx.moveTo(0, -size + 1.5)
+			ctx.arc(endX, 0, size - 1.5, Math.PI / -2, Math.PI / 2)
+			ctx.lineTo(0, size - 1.5)
+			ctx.fill()
+			ctx.stroke()
+			ctx.restore()
 		}
 
-		if((!fade || fade < 1) && doron !== "true"){
+		if(type === "bomb"){
+			if(!fade || fade < 1){
+				this.draw.bomb({
+					ctx: ctx,
+					x: circlePos.x,
+					y: circlePos.y,
+					size: size
+				})
+			}
+		}else if(!fade || fade < 1){
 			// Main circle
 			ctx.fillStyle = fill
 			ctx.beginPath()
@@ -1732,6 +1853,7 @@
 				drawSize * 2 + 8
 			)
 		}
+		ctx.globalAlpha = 1
 		if(fade && !this.touchEnabled){
 			ctx.globalAlpha = this.draw.easeOut(fade < 1 ? fade : 2 - fade)
 			ctx.fillStyle = "#fff"
@@ -1740,11 +1862,18 @@
 			ctx.fill()
 			ctx.globalAlpha = 1
 		}
-		if(!circle.animating && circle.text){
-			// Text
+		if(!circle.animating && circle.text && noteAlpha > 0){
+			// Text, faded with the note by hidden, sudden and stealth
+			ctx.globalAlpha = noteAlpha
 			var text = circle.text
 			var textX = circlePos.x
 			var textY = circlePos.y + 83 * mul
+			var bodyVector = {
+				x: Math.cos(bodyAngle),
+				y: Math.sin(bodyAngle)
+			}
+			var textEndX = textX + endX * bodyVector.x
+			var textEndY = textY + endX * bodyVector.y
 			ctx.font = lyricsSize + "px Kozuka, Microsoft YaHei, sans-serif"
 			ctx.textBaseline = "middle"
 			ctx.textAlign = "center"
@@ -1762,11 +1891,12 @@
 			ctx.strokeText(text, textX, textY)
 			
 			if(drumroll === 2){
-				ctx.strokeText(longText[1], textX + endX, textY)
-				
+				ctx.strokeText(longText[1], textEndX, textEndY)
+			}
+			if(drumroll === 2 && textEndY === textY){
 				ctx.lineWidth = 4
-				var x1 = textX + text0Width / 2
-				var x2 = textX + endX - text1Width / 2
+				var x1 = textX + text0Width / 2 * bodyVector.x
+				var x2 = textEndX - text1Width / 2 * bodyVector.x
 				ctx.beginPath()
 				ctx.moveTo(x1, textY - 2)
 				ctx.lineTo(x2, textY - 2)
@@ -1784,9 +1914,10 @@
 			ctx.fillText(text, textX, textY)
 			
 			if(drumroll === 2){
-				ctx.strokeText(longText[1], textX + endX, textY)
-				ctx.fillText(longText[1], textX + endX, textY)
+				ctx.strokeText(longText[1], textEndX, textEndY)
+				ctx.fillText(longText[1], textEndX, textEndY)
 			}
+			ctx.globalAlpha = 1
 		}
 	}
 	fillComboCache(){
@@ -1884,6 +2015,206 @@
 			})
 		}
 	}
+	drawGaugeFailed(elapsed, winW, winH){
+		var ctx = this.ctx
+		var amount = Math.max(0, Math.min(1, elapsed / 1000))
+		var padding = this.slotPos.paddingLeft
+		var mul = this.slotPos.size / 106
+		var barY = this.slotPos.y - 65 * mul
+		var barH = 130 * mul
+		
+		// The lane fades out while the notes stop
+		ctx.fillStyle = "rgba(0, 0, 0, " + (amount * 0.75) + ")"
+		ctx.fillRect(padding, barY, winW - padding, barH)
+		
+		var textAmount = this.draw.easeOutBack(Math.max(0, Math.min(1, (elapsed - 200) / 500)))
+		if(textAmount > 0){
+			ctx.save()
+			ctx.translate(padding + (winW - padding) / 2, this.slotPos.y)
+			ctx.scale(textAmount * mul, textAmount * mul)
+			this.draw.layeredText({
+				ctx: ctx,
+				text: strings.mods.gaugeFailed,
+				fontSize: 48,
+				fontFamily: this.font,
+				x: 0,
+				y: -24,
+				align: "center"
+			}, [
+				{outline: "#000", letterBorder: 12},
+				{fill: "#ff4a4a"}
+			])
+			ctx.restore()
+		}
+	}
+	drawGhost(winW, frameTop){
+		// Drawn where the second player's gauge would be in multiplayer
+		var ghostScore = this.controller.ghost.get(this.controller.game.elapsedTime)
+		if(!ghostScore){
+			return
+		}
+		var ctx = this.ctx
+		var score = this.controller.getGlobalScore()
+		ctx.save()
+		ctx.translate(0, frameTop)
+		ctx.fillStyle = "#000"
+		ctx.beginPath()
+		if(this.portrait){
+			var gaugeX = winW - 788 * 0.7 - 32
+			ctx.moveTo(gaugeX, 464)
+			ctx.lineTo(winW, 464)
+			ctx.lineTo(winW, 489)
+			this.draw.roundedCorner(ctx, gaugeX, 489, 12, 3)
+		}else{
+			var gaugeX = 328
+			ctx.moveTo(gaugeX, 351)
+			ctx.lineTo(winW, 351)
+			ctx.lineTo(winW, 385)
+			this.draw.roundedCorner(ctx, gaugeX, 385, 10, 3)
+		}
+		ctx.fill()
+		this.draw.gauge({
+			ctx: ctx,
+			x: winW,
+			y: this.portrait ? 468 : 357,
+			clear: this.rules.gaugeClear,
+			percentage: this.rules.gaugePercent(ghostScore.gauge),
+			font: this.font,
+			scale: this.portrait ? 0.7 : 1,
+			multiplayer: true,
+			blue: true
+		})
+		
+		var difference = score.points - ghostScore.points
+		var text = strings.personalBest + " " + ghostScore.points
+		var differenceText = (difference >= 0 ? "+" : "") + difference
+		var fontSize = this.portrait ? 18 : 20
+		ctx.font = this.draw.bold(this.font) + fontSize + "px " + this.font
+		ctx.textAlign = "left"
+		ctx.textBaseline = "middle"
+		ctx.strokeStyle = "#000"
+		ctx.lineWidth = 6
+		ctx.miterLimit = 1
+		var maxWidth = gaugeX - 32
+		if(this.portrait){
+			var textY = 477
+			var differenceX = 16
+			var differenceY = textY + fontSize + 6
+		}else{
+			var textY = 368
+			var differenceX = 16 + Math.min(maxWidth * 0.7, ctx.measureText(text).width) + 12
+			var differenceY = textY
+			maxWidth *= 0.7
+		}
+		ctx.fillStyle = "#fff"
+		ctx.strokeText(text, 16, textY, maxWidth)
+		ctx.fillText(text, 16, textY, maxWidth)
+		ctx.fillStyle = difference >= 0 ? "#ffdf2f" : "#6bbec0"
+		ctx.strokeText(differenceText, differenceX, differenceY)
+		ctx.fillText(differenceText, differenceX, differenceY)
+		ctx.restore()
+	}
+	drawHitErrorBar(ms){
+		var ctx = this.ctx
+		var rules = this.rules
+		var mul = this.slotPos.size / 106
+		var w = 200 * mul
+		var h = 8 * mul
+		// Centered under the judgement circle without going past the start of the lane
+		var x = Math.max(this.slotPos.x, this.slotPos.paddingLeft + w / 2 + 8 * mul)
+		var y = this.slotPos.y + 65 * mul + 14 * mul
+		var toX = value => x + Math.max(-1, Math.min(1, value / rules.bad)) * w / 2
+		
+		ctx.save()
+		ctx.fillStyle = "rgba(0, 0, 0, 0.6)"
+		ctx.fillRect(x - w / 2 - 4 * mul, y - h / 2 - 4 * mul, w + 8 * mul, h + 8 * mul)
+		ctx.fillStyle = "#4a6fa5"
+		ctx.fillRect(x - w / 2, y - h / 2, w, h)
+		ctx.fillStyle = "#ddd"
+		ctx.fillRect(toX(-rules.ok), y - h / 2, toX(rules.ok) - toX(-rules.ok), h)
+		ctx.fillStyle = "#ffb447"
+		ctx.fillRect(toX(-rules.good), y - h / 2, toX(rules.good) - toX(-rules.good), h)
+		
+		// Recent hits fade out, the newest ones are drawn on top
+		while(this.hitErrors.length && ms - this.hitErrors[0].ms > 2000){
+			this.hitErrors.shift()
+		}
+		var sum = 0
+		this.hitErrors.forEach(hit => {
+			var alpha = Math.max(0, Math.min(1, (ms - hit.ms) / 2000))
+			ctx.globalAlpha = 1 - alpha
+			ctx.fillStyle = "#fff"
+			ctx.fillRect(toX(hit.value) - 1.5 * mul, y - h / 2 - 6 * mul, 3 * mul, h + 12 * mul)
+			sum += hit.value
+		})
+		ctx.globalAlpha = 1
+		ctx.fillStyle = "#000"
+		ctx.fillRect(x - 1 * mul, y - h / 2, 2 * mul, h)
+		
+		if(this.hitErrors.length){
+			// Average of the recent hits
+			var avgX = toX(sum / this.hitErrors.length)
+			ctx.fillStyle = "#fff"
+			ctx.strokeStyle = "#000"
+			ctx.lineWidth = 2 * mul
+			ctx.beginPath()
+			ctx.moveTo(avgX, y - h / 2 - 2 * mul)
+			ctx.lineTo(avgX - 6 * mul, y - h / 2 - 12 * mul)
+			ctx.lineTo(avgX + 6 * mul, y - h / 2 - 12 * mul)
+			ctx.closePath()
+			ctx.stroke()
+			ctx.fill()
+		}
+		ctx.restore()
+	}
+	addHitError(value){
+		if(!this.hitErrorBar){
+			return
+		}
+		this.hitErrors.push({
+			ms: this.getMS(),
+			value: value
+		})
+		if(this.hitErrors.length > 30){
+			this.hitErrors.shift()
+		}
+	}
+	drawExams(y){
+		var ctx = this.ctx
+		var exams = this.controller.game.getExams()
+		var statusColors = {
+			gold: "#ffd800",
+			pass: "#ff5a26",
+			fail: "#7b7b7b"
+		}
+		ctx.save()
+		ctx.textBaseline = "middle"
+		exams.forEach((exam, i) => {
+			var examY = y + i * 50
+			this.draw.roundedRect({
+				ctx: ctx,
+				x: 16,
+				y: examY,
+				w: 500,
+				h: 42,
+				radius: 8
+			})
+			ctx.fillStyle = "rgba(0, 0, 0, 0.6)"
+			ctx.fill()
+			
+			var amount = exam.range === "less" ? 1 - exam.value / Math.max(1, exam.pass) : exam.value / Math.max(1, exam.gold)
+			ctx.fillStyle = statusColors[exam.status]
+			ctx.fillRect(176, examY + 28, 324 * Math.min(1, Math.max(0, amount)), 6)
+			
+			ctx.font = this.draw.bold(this.font) + "20px " + this.font
+			ctx.fillStyle = "#fff"
+			ctx.textAlign = "left"
+			ctx.fillText(strings.exam[exam.type], 28, examY + 21, 140)
+			ctx.textAlign = "right"
+			ctx.fillText(exam.value + " / " + strings.exam[exam.range].replace("%s", exam.pass), 500, examY + 15, 324)
+		})
+		ctx.restore()
+	}
 	toggleGogoTime(circle) {
     var startMS = circle.ms + this.controller.audioLatency;
     this.gogoTime = circle.gogoTime;
@@ -1996,6 +2327,77 @@
 		var circleSize = 70 * this.slotPos.size / 106 / 2
 		return speed / (140 / circleSize) * ms
 	}
+	noteDelta(circle, ms){
+		var delta = circle.ms - ms + this.controller.videoLatency
+		if(circle.suddenMove && delta > circle.suddenMove){
+			// SUDDEN notes wait in place until it is time for them to move
+			delta = circle.suddenMove
+		}
+		return delta
+	}
+	straightScroll(circle){
+		return !this.scrollMode && !circle.direction && !circle.speedY && circle.speed > 0
+	}
+	notePosition(circle, ms, speedMul, end){
+		var delta = this.noteDelta(circle, ms)
+		if(this.scrollMode && typeof circle.beat === "number"){
+			// BMSCROLL and HBSCROLL place notes by beat, so the whole lane follows BPM changes and delays
+			var beatDelta = (end ? circle.endBeat : circle.beat) - this.beatAt(circle.ms - delta)
+			if(this.scrollMode === "hbscroll"){
+				var distance = this.msToPos(beatDelta * 1000, circle.scroll * speedMul)
+				var distanceY = this.msToPos(beatDelta * 1000, (circle.scrollY || 0) * speedMul)
+			}else{
+				var distance = this.msToPos(beatDelta * 1000, speedMul)
+				var distanceY = 0
+			}
+		}else{
+			if(end){
+				delta += circle.endTime - circle.ms
+			}
+			var distance = this.msToPos(delta, circle.speed * speedMul)
+			var distanceY = this.msToPos(delta, (circle.speedY || 0) * speedMul)
+		}
+		// The imaginary part of a complex scroll moves notes up, perpendicular to the direction
+		var vector = this.directionVector(circle.direction)
+		return {
+			x: distance * vector.x + distanceY * vector.y,
+			y: distance * vector.y - distanceY * vector.x
+		}
+	}
+	offsetInView(startPos, endPos, margin){
+		var left = this.slotPos.paddingLeft - this.slotPos.x - margin
+		var right = this.winW / this.ratio - this.slotPos.x + margin
+		var top = -this.slotPos.y - margin
+		var bottom = this.winH / this.ratio - this.slotPos.y + margin
+		return Math.max(startPos.x, endPos.x) >= left
+			&& Math.min(startPos.x, endPos.x) <= right
+			&& Math.max(startPos.y, endPos.y) >= top
+			&& Math.min(startPos.y, endPos.y) <= bottom
+	}
+	beatAt(ms){
+		var timeline = this.controller.parsedSongData.beatTimeline
+		if(!timeline || !timeline.length){
+			return 0
+		}
+		var low = 0
+		var high = timeline.length - 1
+		while(low < high){
+			var mid = Math.ceil((low + high) / 2)
+			if(timeline[mid].ms <= ms){
+				low = mid
+			}else{
+				high = mid - 1
+			}
+		}
+		while(low > 0 && timeline[low].branch && !timeline[low].branch.active){
+			low--
+		}
+		var point = timeline[low]
+		return point.beat + (ms - point.ms) * point.bpm / 60000
+	}
+	directionVector(direction){
+		return this.directions[direction] || this.directions[0]
+	}
 	drawTouch(){
 		if(this.touchEnabled){
 			var ms = this.getMS()
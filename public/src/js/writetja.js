@@ -0,0 +1,375 @@
+class WriteTja{
+	constructor(...args){
+		this.init(...args)
+	}
+	init(meta){
+		this.meta = meta || {}
+		this.courses = []
+		this.noteSymbols = {
+			"don": "1",
+			"ka": "2",
+			"daiDon": "3",
+			"daiKa": "4",
+			"drumroll": "5",
+			"daiDrumroll": "6",
+			"balloon": "7",
+			"bomb": "C",
+			"adlib": "F",
+			"kadon": "G"
+		}
+		this.branchTypes = {
+			"drumroll": "r",
+			"score": "s",
+			"accuracy": "p"
+		}
+		this.branchNames = {
+			"normal": "N",
+			"advanced": "E",
+			"master": "M"
+		}
+		this.courseNames = {
+			"easy": "Easy",
+			"normal": "Normal",
+			"hard": "Hard",
+			"oni": "Oni",
+			"ura": "Edit",
+			"dan": "Dan"
+		}
+		this.divisions = [1, 2, 3, 4, 6, 8, 12, 16, 24, 32, 48, 64, 96, 192]
+		this.tolerance = 1.5
+	}
+	addCourse(chart, difficulty, level){
+		if(difficulty in this.courseNames && !this.courses.find(course => course.difficulty === difficulty)){
+			this.courses.push({
+				chart: chart,
+				difficulty: difficulty,
+				level: level
+			})
+		}
+	}
+	getFile(){
+		var header = null
+		var output = []
+		var order = Object.keys(this.courseNames)
+		this.courses.sort((a, b) => order.indexOf(a.difficulty) - order.indexOf(b.difficulty))
+		this.courses.forEach(course => {
+			this.chart = course.chart
+			var circles = this.chart.circles || []
+			var measures = (this.chart.measures || []).slice().sort((a, b) => a.ms - b.ms)
+			var firstMs = measures.length ? measures[0].ms : (circles.length ? circles[0].ms : 0)
+			var start = firstMs + (this.chart.soundOffset || 0)
+			if(!header){
+				// The song header is shared, later courses are lined up with it using #DELAY and #BPMCHANGE
+				header = {
+					start: start,
+					bpm: this.bpmAt(firstMs)
+				}
+				output.push(
+					"TITLE:" + (this.meta.title || ""),
+					"SUBTITLE:" + (this.meta.subtitle ? "--" + this.meta.subtitle : ""),
+					"BPM:" + this.number(header.bpm),
+					"WAVE:" + (this.meta.wave || ""),
+					"OFFSET:" + this.number(-start / 1000),
+					"DEMOSTART:" + this.number(this.meta.preview || 0)
+				)
+			}
+			this.balloons = []
+			this.nextSongs = course.difficulty === "dan" && this.chart.danSongs ? this.chart.danSongs.slice() : []
+			this.state = {
+				bpm: header.bpm,
+				measure: "4/4",
+				scroll: "1",
+				direction: 0,
+				sudden: "0 0",
+				gogo: false,
+				barLine: true
+			}
+			var lines = []
+			if(Math.abs(start - header.start) > this.tolerance){
+				lines.push("#DELAY " + this.number((start - header.start) / 1000))
+			}
+			var blocks = this.getBlocks(measures)
+			blocks.forEach((block, i) => {
+				if(block.branch){
+					var branch = block.branch
+					lines.push("#BRANCHSTART " + [
+						this.branchTypes[branch.type] || "p",
+						this.number(branch.requirement.advanced),
+						this.number(branch.requirement.master)
+					].join(","))
+					var startState = this.copyState()
+					for(var name in this.branchNames){
+						if(branch[name]){
+							this.state = this.copyState(startState)
+							lines.push("#" + this.branchNames[name])
+							this.writeLane(lines, block, branch[name], circles)
+						}
+					}
+					if(!blocks[i + 1] || !blocks[i + 1].branch){
+						lines.push("#BRANCHEND")
+					}
+				}else{
+					this.writeLane(lines, block, false, circles)
+				}
+			})
+
+			output.push(
+				"",
+				"COURSE:" + this.courseNames[course.difficulty],
+				"LEVEL:" + (course.level || 1),
+				"BALLOON:" + this.balloons.join(",")
+			)
+			if(this.chart.scoreinit && this.chart.scorediff){
+				output.push("SCOREINIT:" + this.chart.scoreinit)
+				output.push("SCOREDIFF:" + this.chart.scorediff)
+			}
+			if(course.difficulty === "dan" && this.chart.exams){
+				this.chart.exams.forEach((exam, i) => {
+					output.push("EXAM" + (i + 1) + ":" + [exam.type, this.number(exam.pass), this.number(exam.gold), exam.range === "less" ? "l" : "m"].join(","))
+				})
+			}
+			if(this.chart.scrollMode){
+				output.push("#" + this.chart.scrollMode.toUpperCase())
+			}
+			output.push("", "#START", ...lines, "#END")
+		})
+		output.push("")
+		return output.join("\n")
+	}
+	getBlocks(measures){
+		// Splits the chart into common parts and branch sections, in chart order
+		var branches = this.chart.branches || []
+		var blocks = []
+		var lastBlock = null
+		measures.forEach(measure => {
+			var branch = measure.branch ? branches.find(branch => branch.normal === measure.branch || branch.advanced === measure.branch || branch.master === measure.branch) || null : null
+			if(!lastBlock || lastBlock.branch !== branch){
+				lastBlock = {
+					branch: branch,
+					measures: []
+				}
+				blocks.push(lastBlock)
+			}
+			lastBlock.measures.push(measure)
+		})
+		blocks.forEach((block, i) => {
+			block.end = blocks[i + 1] ? blocks[i + 1].measures[0].ms : null
+		})
+		return blocks
+	}
+	writeLane(lines, block, laneBranch, circles){
+		var measures = block.measures.filter(measure => (measure.branch || false) === laneBranch)
+		var times = []
+		measures.forEach(measure => {
+			if(times.length === 0 || measure.ms - times[times.length - 1].ms > this.tolerance){
+				times.push(measure)
+			}
+		})
+		var events = []
+		circles.forEach(circle => {
+			if((circle.branch || false) !== laneBranch){
+				return
+			}
+			var type = circle.type
+			if(!(type in this.noteSymbols)){
+				return
+			}
+			events.push({
+				ms: circle.ms,
+				circle: circle,
+				symbol: this.noteSymbols[type]
+			})
+			if(type === "drumroll" || type === "daiDrumroll" || type === "balloon"){
+				events.push({
+					ms: circle.endTime,
+					symbol: "8"
+				})
+			}
+		})
+		var start = times.length ? times[0].ms : 0
+		var end = block.end
+		if(end === null){
+			var lastEvent = events.reduce((max, event) => Math.max(max, event.ms), start)
+			var lastLength = times.length > 1 ? times[times.length - 1].ms - times[times.length - 2].ms : 240000 / this.state.bpm
+			var lastTime = times.length ? times[times.length - 1].ms : start
+			while(lastTime + lastLength <= lastEvent){
+				lastTime += lastLength
+				times.push({
+					ms: lastTime,
+					visible: times.length ? times[times.length - 1].visible : true
+				})
+			}
+			end = lastTime + lastLength
+		}
+		events = events.filter(event => event.ms >= start - this.tolerance && event.ms < end - this.tolerance)
+		events.sort((a, b) => a.ms - b.ms)
+		times.forEach((measure, i) => {
+			var t0 = measure.ms
+			var t1 = times[i + 1] ? times[i + 1].ms : end
+			var measureEvents = events.filter(event => event.ms >= t0 - this.tolerance && event.ms < t1 - this.tolerance)
+			this.writeMeasure(lines, measure, t0, t1, measureEvents)
+		})
+	}
+	writeMeasure(lines, measure, t0, t1, events){
+		var duration = t1 - t0
+		if(duration <= 0){
+			return
+		}
+		while(this.nextSongs.length && this.nextSongs[0].ms <= t0 + this.tolerance){
+			// The music of a course song keeps its start time through the offset field
+			var song = this.nextSongs.shift()
+			var offset = song.musicStart === null ? 0 : (song.musicStart - t0) / 1000
+			lines.push("#NEXTSONG " + [
+				song.title,
+				song.subtitle,
+				song.genre,
+				song.wave,
+				song.scoreinit || "",
+				song.scorediff || "",
+				song.level,
+				song.course,
+				this.number(offset)
+			].map(value => value.toString().replace(/,/g, " ")).join(","))
+		}
+		// #MEASURE is kept on a short fraction and the bpm is adjusted so the measure has the exact length
+		var bpm = this.bpmAt(t0)
+		var beats = duration * bpm / 240000
+		var denominator = 4
+		for(var d of [4, 8, 16, 12, 24, 32, 48, 64]){
+			if(Math.abs(Math.round(beats * d) / d - beats) < 0.0005 && Math.round(beats * d) > 0){
+				denominator = d
+				break
+			}
+		}
+		var numerator = Math.max(1, Math.round(beats * denominator))
+		bpm = 240000 * numerator / denominator / duration
+		var fraction = numerator + "/" + denominator
+		if(fraction !== this.state.measure){
+			lines.push("#MEASURE " + fraction)
+			this.state.measure = fraction
+		}
+		if(this.number(bpm) !== this.number(this.state.bpm)){
+			lines.push("#BPMCHANGE " + this.number(bpm))
+			this.state.bpm = bpm
+		}
+		var barLine = measure.visible !== false
+		if(barLine !== this.state.barLine){
+			lines.push(barLine ? "#BARLINEON" : "#BARLINEOFF")
+			this.state.barLine = barLine
+		}
+		if("scroll" in measure){
+			// Bar lines of parsed TJA measures move the same way as their first note
+			lines.push(...this.stateCommands(measure, bpm))
+		}
+
+		var division = this.divisions[this.divisions.length - 1]
+		for(var d of this.divisions){
+			if(events.every(event => {
+				var pos = (event.ms - t0) / duration * d
+				return Math.abs(pos - Math.round(pos)) * duration / d < this.tolerance
+			})){
+				division = d
+				break
+			}
+		}
+		var slots = []
+		events.forEach(event => {
+			var slot = Math.min(division - 1, Math.max(0, Math.round((event.ms - t0) / duration * division)))
+			if(!slots[slot] || slots[slot].symbol === "8"){
+				slots[slot] = event
+			}
+		})
+		var line = ""
+		for(var i = 0; i < division; i++){
+			var event = slots[i]
+			if(event && event.circle){
+				var circle = event.circle
+				var commands = []
+				var gogo = !!circle.gogoTime
+				if(gogo !== this.state.gogo){
+					commands.push(gogo ? "#GOGOSTART" : "#GOGOEND")
+					this.state.gogo = gogo
+				}
+				commands.push(...this.stateCommands(circle, bpm))
+				if(commands.length){
+					if(line){
+						lines.push(line)
+						line = ""
+					}
+					lines.push(...commands)
+				}
+				if(circle.type === "balloon"){
+					this.balloons.push(circle.requiredHits || 1)
+				}
+			}
+			line += event ? event.symbol : "0"
+		}
+		if(!events.length){
+			line = ""
+		}
+		lines.push(line + ",")
+	}
+	stateCommands(object, bpm){
+		// Scroll speed, including complex and negative values, direction and sudden of a note or a measure
+		var commands = []
+		if(object.speed || object.speedY){
+			var scroll = this.complex(object.speed * 60 / bpm, (object.speedY || 0) * 60 / bpm)
+			if(scroll !== this.state.scroll){
+				commands.push("#SCROLL " + scroll)
+				this.state.scroll = scroll
+			}
+		}
+		var direction = object.direction || 0
+		if(direction !== this.state.direction){
+			commands.push("#DIRECTION " + direction)
+			this.state.direction = direction
+		}
+		var sudden = object.suddenAppear ? this.number(object.suddenAppear / 1000) + " " + this.number((object.suddenMove || 0) / 1000) : "0 0"
+		if(sudden !== this.state.sudden){
+			commands.push("#SUDDEN " + sudden)
+			this.state.sudden = sudden
+		}
+		return commands
+	}
+	complex(real, imaginary){
+		var imaginaryText = this.number(Math.abs(imaginary))
+		if(imaginaryText === "0"){
+			return this.number(real)
+		}
+		return this.number(real) + (imaginary < 0 ? "-" : "+") + imaginaryText + "i"
+	}
+	bpmAt(ms){
+		var bpm = 120
+		if(this.chart.timingPoints){
+			for(var i = 0; i < this.chart.timingPoints.length; i++){
+				var point = this.chart.timingPoints[i]
+				if(i !== 0 && point.start > ms){
+					break
+				}
+				bpm = 60000 / point.beatMS
+			}
+		}else if(this.chart.beatTimeline){
+			for(var i = 0; i < this.chart.beatTimeline.length; i++){
+				var point = this.chart.beatTimeline[i]
+				if(i !== 0 && point.ms > ms){
+					break
+				}
+				if(point.bpm){
+					bpm = Math.abs(point.bpm)
+				}
+			}
+		}
+		return bpm
+	}
+	copyState(state){
+		state = state || this.state
+		var output = {}
+		for(var i in state){
+			output[i] = state[i]
+		}
+		return output
+	}
+	number(value){
+		return parseFloat((value || 0).toFixed(4)).toString()
+	}
+}